@@ -1,36 +1,34 @@
 const kProgressiveAttr = "data-src";
 let categoriesLoaded = false;
+// Set once the listings show the state in the URL (changes after that are announced)
+let listingsReady = false;
+
+// The site root, for loading the search index (this script is in site_libs/quarto-listing/)
+const kSiteRoot = window.document.currentScript
+  ? new URL("../../", window.document.currentScript.src).href
+  : new URL(
+      window.document
+        .querySelector('meta[name="quarto:offset"]')
+        ?.getAttribute("content") || "./",
+      window.location.href
+    ).href;
+
+// The selected categories, and whether posts must match any (or) or all (and) of them
+let activeCategories = [];
+let categoryMode = "or";
+const kCategoryModes = { or: "OR", and: "AND" };
 
 window.quartoListingCategory = (category) => {
   // category is URI encoded in EJS template for UTF-8 support
   category = decodeURIComponent(atob(category));
   if (categoriesLoaded) {
-    activateCategory(category);
-    setCategoryHash(category);
+    // a category chip on a post shows just that category
+    activateCategories(category === "" ? [] : [category], categoryMode);
+    setListingState({ categories: activeCategories, mode: categoryMode });
   }
 };
 
 window["quarto-listing-loaded"] = () => {
-  // Process any existing hash
-  const hash = getHash();
-
-  if (hash) {
-    // If there is a category, switch to that
-    if (hash.category) {
-      // category hash are URI encoded so we need to decode it before processing
-      // so that we can match it with the category element processed in JS
-      activateCategory(decodeURIComponent(hash.category));
-    }
-    // Paginate a specific listing
-    const listingIds = Object.keys(window["quarto-listings"]);
-    for (const listingId of listingIds) {
-      const page = hash[getListingPageKey(listingId)];
-      if (page) {
-        showPage(listingId, page);
-      }
-    }
-  }
-
   const listingIds = Object.keys(window["quarto-listings"]);
   for (const listingId of listingIds) {
     // The actual list
@@ -39,20 +37,77 @@ window["quarto-listing-loaded"] = () => {
     // Update the handlers for pagination events
     refreshPaginationHandlers(listingId);
 
-    // Render any visible items that need it
-    renderVisibleProgressiveImages(list);
+    // Load the thumbnails of visible items as they scroll into view
+    observeProgressiveImages(list);
 
     // Whenever the list is updated, we also need to
     // attach handlers to the new pagination elements
     // and refresh any newly visible items.
     list.on("updated", function () {
-      renderVisibleProgressiveImages(list);
+      observeProgressiveImages(list);
       setTimeout(() => refreshPaginationHandlers(listingId));
 
       // Show or hide the no matching message
       toggleNoMatchingMessage(list);
+
+      // Highlight search matches in the newly visible items
+      highlightSearchMatches(list);
+
+      // Tell screen reader users what is shown now
+      announceListingStatus(list);
+
+      // Hide "Load more" once everything is shown
+      updateLoadMore(list);
     });
+
+    // Add the full-text search box (and, on the blog, the sort menu), and the
+    // (visually hidden) status
+    const controlsEl = window.document.createElement("div");
+    controlsEl.classList.add(
+      "quarto-listing-controls",
+      "d-flex",
+      "flex-wrap",
+      "gap-2",
+      "mb-3"
+    );
+    controlsEl.appendChild(makeSearchBox());
+    if (hasSortAndArchive) {
+      controlsEl.appendChild(makeSortControl(list));
+    }
+    list.list.parentNode.insertBefore(controlsEl, list.list);
+    list.listingStatusEl = makeListingStatus();
+    list.list.parentNode.insertBefore(list.listingStatusEl, list.list);
+
+    // Replace the numbered pages with a "Load more" button or infinite scroll
+    list.listingPageSize = list.page;
+    if (getPaginationMode() !== "numbers") {
+      setupLoadMore(listingId, list);
+    }
   }
+
+  // Add the year/month archive below the categories (or above the listing)
+  if (hasSortAndArchive) {
+    const archiveEl = makeArchive();
+    const categoryContainerEls = window.document.querySelectorAll(
+      ".quarto-listing-category"
+    );
+    if (categoryContainerEls.length > 0) {
+      const lastCategoryEl =
+        categoryContainerEls[categoryContainerEls.length - 1];
+      lastCategoryEl.parentNode.insertBefore(archiveEl, lastCategoryEl.nextSibling);
+    } else if (listingIds.length > 0) {
+      const firstListEl = window["quarto-listings"][listingIds[0]].list;
+      firstListEl.parentNode.insertBefore(archiveEl, firstListEl.parentNode.firstChild);
+    }
+  }
+
+  // Restore the state in the URL, and follow it through Back/Forward
+  applyListingState(getListingState()).then(() => {
+    listingsReady = true;
+  });
+  window.addEventListener("popstate", () => {
+    applyListingState(getListingState());
+  });
 };
 
 window.document.addEventListener("DOMContentLoaded", function (_event) {
@@ -67,11 +122,44 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
       atob(categoryEl.getAttribute("data-category"))
     );
     categoryEl.onclick = () => {
-      activateCategory(category);
-      setCategoryHash(category);
+      toggleCategory(category);
     };
   }
 
+  // Add the AND/OR toggle for combining several categories, and make the
+  // chips work as toggle buttons from the keyboard
+  const categoryContainerEls = window.document.querySelectorAll(
+    ".quarto-listing-category"
+  );
+  for (const categoryContainerEl of categoryContainerEls) {
+    makeCategoryChipsAccessible(categoryContainerEl);
+    categoryContainerEl.prepend(makeCategoryModeToggle());
+    const feedEl = makeCategoryFeedLink();
+    if (feedEl) {
+      categoryContainerEl.after(feedEl);
+    }
+  }
+
+  // The category chips on each post only have an onclick. list.js rewrites
+  // them from their HTML, so attributes survive but listeners would not:
+  // keys are handled for the whole document instead.
+  const postCategoryEls = window.document.querySelectorAll(
+    ".quarto-listing .listing-category"
+  );
+  for (const postCategoryEl of postCategoryEls) {
+    postCategoryEl.setAttribute("role", "button");
+    postCategoryEl.setAttribute("tabindex", "0");
+  }
+  window.document.addEventListener("keydown", (event) => {
+    const postCategoryEl =
+      event.target.closest &&
+      event.target.closest(".quarto-listing .listing-category");
+    if (postCategoryEl && (event.key === "Enter" || event.key === " ")) {
+      event.preventDefault();
+      postCategoryEl.click();
+    }
+  });
+
   // Attach a click handler to the category title
   // (there should be only one, but since it is a class name, handle N)
   const categoryTitleEls = window.document.querySelectorAll(
@@ -79,8 +167,8 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
   );
   for (const categoryTitleEl of categoryTitleEls) {
     categoryTitleEl.onclick = () => {
-      activateCategory("");
-      setCategoryHash("");
+      activateCategories([], categoryMode);
+      setListingState({ categories: activeCategories, mode: categoryMode });
     };
   }
 
@@ -101,36 +189,170 @@ function toggleNoMatchingMessage(list) {
   }
 }
 
-function setCategoryHash(category) {
-  setHash({ category });
-}
-
-function setPageHash(listingId, page) {
-  const currentHash = getHash() || {};
-  currentHash[getListingPageKey(listingId)] = page;
-  setHash(currentHash);
-}
-
 function getListingPageKey(listingId) {
   return `${listingId}-page`;
 }
 
 function refreshPaginationHandlers(listingId) {
   const listingEl = window.document.getElementById(listingId);
+
+  const paginationNavEl = window.document.getElementById(
+    `${listingId}-pagination`
+  );
+  if (paginationNavEl && !paginationNavEl.hasAttribute("aria-label")) {
+    paginationNavEl.setAttribute("aria-label", "Pages");
+  }
+
   const paginationEls = listingEl.querySelectorAll(
     ".pagination li.page-item:not(.disabled) .page.page-link"
   );
   for (const paginationEl of paginationEls) {
-    paginationEl.onclick = (sender) => {
-      setPageHash(listingId, sender.target.getAttribute("data-i"));
-      showPage(listingId, sender.target.getAttribute("data-i"));
-      return false;
+    // list.js marks the current page's item as active
+    const page = paginationEl.getAttribute("data-i");
+    const current = paginationEl.parentElement.classList.contains("active");
+    paginationEl.setAttribute("aria-label", `Page ${page}`);
+    if (current) {
+      paginationEl.setAttribute("aria-current", "page");
+    } else {
+      paginationEl.removeAttribute("aria-current");
+    }
+
+    paginationEl.onclick = (event) => {
+      event.preventDefault();
+      const pages = { ...getListingState().pages };
+      pages[listingId] = Number(page);
+      setListingState({ pages });
+      showPage(listingId, page);
     };
   }
 }
 
-function renderVisibleProgressiveImages(list) {
-  // Run through the visible items and render any progressive images
+// Category chips are toggle buttons: Enter or Space toggles a chip, and the
+// arrow keys (plus Home and End) move between chips, which share one tab stop
+function makeCategoryChipsAccessible(categoryContainerEl) {
+  categoryContainerEl.setAttribute("role", "group");
+  categoryContainerEl.setAttribute("aria-label", "Filter posts by category");
+
+  const chipEls = Array.from(categoryContainerEl.querySelectorAll(".category"));
+  chipEls.forEach((chipEl, index) => {
+    chipEl.setAttribute("role", "button");
+    chipEl.setAttribute("tabindex", index === 0 ? "0" : "-1");
+    chipEl.setAttribute("aria-pressed", "false");
+
+    chipEl.addEventListener("keydown", (event) => {
+      let next;
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        chipEl.click();
+        return;
+      } else if (event.key === "ArrowRight" || event.key === "ArrowDown") {
+        next = chipEls[(index + 1) % chipEls.length];
+      } else if (event.key === "ArrowLeft" || event.key === "ArrowUp") {
+        next = chipEls[(index - 1 + chipEls.length) % chipEls.length];
+      } else if (event.key === "Home") {
+        next = chipEls[0];
+      } else if (event.key === "End") {
+        next = chipEls[chipEls.length - 1];
+      } else {
+        return;
+      }
+
+      event.preventDefault();
+      for (const otherEl of chipEls) {
+        otherEl.setAttribute("tabindex", otherEl === next ? "0" : "-1");
+      }
+      next.focus();
+    });
+  });
+}
+
+function makeListingStatus() {
+  const statusEl = window.document.createElement("div");
+  statusEl.classList.add("quarto-listing-status", "visually-hidden");
+  statusEl.setAttribute("role", "status");
+  statusEl.setAttribute("aria-live", "polite");
+  statusEl.setAttribute("aria-atomic", "true");
+  return statusEl;
+}
+
+// Announce how many posts are shown (and which page), once a burst of updates
+// (filter, sort, page) has settled
+function announceListingStatus(list) {
+  if (!list.listingStatusEl || !listingsReady) {
+    return;
+  }
+
+  clearTimeout(list.listingStatusTimer);
+  list.listingStatusTimer = setTimeout(() => {
+    const count = list.matchingItems.length;
+    const shown = list.visibleItems.length;
+    let message;
+    if (count === 0) {
+      message = "No matching posts";
+    } else if (shown < count) {
+      message = `Showing ${shown} of ${count} posts`;
+    } else {
+      message = `Showing ${count} ${count === 1 ? "post" : "posts"}`;
+    }
+
+    const pageCount = Math.ceil(count / list.page);
+    if (getPaginationMode() === "numbers" && pageCount > 1) {
+      const page = Math.ceil(list.i / list.page);
+      message += `, page ${page} of ${pageCount}`;
+    }
+    list.listingStatusEl.textContent = message;
+  }, 300);
+}
+
+// Options a page can override by setting window["quarto-listing-options"], e.g.
+// { lazyRootMargin: "400px 0px" } to start loading thumbnails further ahead
+const kListingOptionDefaults = {
+  // how far outside the viewport thumbnails start loading
+  lazyRootMargin: "200px 0px",
+  // space reserved for thumbnails without a width and height
+  thumbnailAspectRatio: "3 / 2",
+  // "numbers" (numbered pages), "load-more" (a button that appends the next
+  // page) or "infinite" (appends the next page when the end comes into view)
+  paginationMode: "numbers",
+};
+
+function getListingOption(name) {
+  const options = window["quarto-listing-options"] || {};
+  return options[name] !== undefined ? options[name] : kListingOptionDefaults[name];
+}
+
+const kLazyImageClass = "quarto-lazy-image";
+const kLazyLoadedClass = "quarto-lazy-loaded";
+const kLazyPreviewClass = "quarto-lazy-preview";
+// a tiny inlined copy of the thumbnail (see utils/build-thumbnail-previews.js)
+const kPreviewAttr = "data-placeholder";
+let progressiveImageObserver;
+
+function getProgressiveImageObserver() {
+  // Without IntersectionObserver, visible thumbnails are loaded right away
+  if (progressiveImageObserver === undefined) {
+    progressiveImageObserver =
+      "IntersectionObserver" in window
+        ? new IntersectionObserver(
+            (entries, observer) => {
+              for (const entry of entries) {
+                if (entry.isIntersecting) {
+                  observer.unobserve(entry.target);
+                  loadProgressiveImage(entry.target);
+                }
+              }
+            },
+            { rootMargin: getListingOption("lazyRootMargin") }
+          )
+        : null;
+  }
+  return progressiveImageObserver;
+}
+
+function observeProgressiveImages(list) {
+  const observer = getProgressiveImageObserver();
+
+  // Run through the visible items and watch any progressive images
   for (const item of list.visibleItems) {
     const itemEl = item.elm;
     if (itemEl) {
@@ -138,117 +360,1072 @@ function renderVisibleProgressiveImages(list) {
         `img[${kProgressiveAttr}]`
       );
       for (const progressiveImg of progressiveImgs) {
-        const srcValue = progressiveImg.getAttribute(kProgressiveAttr);
-        if (srcValue) {
-          progressiveImg.setAttribute("src", srcValue);
+        showImagePlaceholder(progressiveImg);
+        if (observer) {
+          observer.observe(progressiveImg);
+        } else {
+          loadProgressiveImage(progressiveImg);
         }
-        progressiveImg.removeAttribute(kProgressiveAttr);
       }
     }
   }
 }
 
-function getHash() {
-  // Hashes are of the form
-  // #name:value|name1:value1|name2:value2
-  const currentUrl = new URL(window.location);
-  const hashRaw = currentUrl.hash ? currentUrl.hash.slice(1) : undefined;
-  return parseHash(hashRaw);
+// Reserve the image's space and show a placeholder until it loads, so the
+// listing doesn't jump around as thumbnails come in
+function showImagePlaceholder(img) {
+  if (img.classList.contains(kLazyImageClass)) {
+    return;
+  }
+  img.classList.add(kLazyImageClass);
+
+  const hasSize =
+    (img.getAttribute("width") && img.getAttribute("height")) ||
+    img.style.height ||
+    img.style.aspectRatio;
+  if (!hasSize) {
+    img.style.aspectRatio = getListingOption("thumbnailAspectRatio");
+  }
+  const previewValue = img.getAttribute(kPreviewAttr);
+  if (previewValue) {
+    // the low-resolution preview, shown blurred
+    img.classList.add(kLazyPreviewClass);
+    img.setAttribute("src", previewValue);
+  } else if (!img.getAttribute("src")) {
+    // a transparent image, so the (styled) background shows through
+    img.setAttribute(
+      "src",
+      "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg'/%3E"
+    );
+  }
 }
 
+// Load the full image off-screen and swap it in once it has arrived, so the
+// preview stays up instead of the image painting in piece by piece
+function loadProgressiveImage(img) {
+  const srcValue = img.getAttribute(kProgressiveAttr);
+  img.removeAttribute(kProgressiveAttr);
+  if (!srcValue) {
+    return;
+  }
+
+  const showImage = () => {
+    img.setAttribute("src", srcValue);
+    img.removeAttribute(kPreviewAttr);
+    img.classList.add(kLazyLoadedClass);
+  };
+  const fullImg = new Image();
+  // a failed load still gets the real src, so the browser shows it as broken
+  fullImg.addEventListener("load", showImage, { once: true });
+  fullImg.addEventListener("error", showImage, { once: true });
+  fullImg.src = srcValue;
+}
+
+// Listing state (categories, page, sort order and search text) lives in the URL hash:
+// #category=a,b&category-mode=and&sort=date-asc&search=stan&<listingId>-page=2
+// The hash is the single source of truth: it is read on load and on popstate, and
+// every change goes through setListingState.
 const kAnd = "&";
 const kEquals = "=";
+const kCategoryKey = "category";
+const kCategoryModeKey = "category-mode";
+const kSortKey = "sort";
+const kSearchKey = "search";
+const kArchiveKey = "archive";
+let applyingState = false;
 
-function parseHash(hash) {
+function emptyListingState() {
+  return {
+    categories: [],
+    mode: "or",
+    archive: "",
+    sort: "",
+    search: "",
+    pages: {},
+  };
+}
+
+function getListingState() {
+  const currentUrl = new URL(window.location);
+  return parseListingState(currentUrl.hash ? currentUrl.hash.slice(1) : "");
+}
+
+// Values may have been URI encoded twice by older versions of this script
+function decodeHashValue(value) {
+  let decoded = value;
+  for (let i = 0; i < 2 && /%[0-9a-f]{2}/i.test(decoded); i++) {
+    try {
+      decoded = decodeURIComponent(decoded);
+    } catch (_error) {
+      break;
+    }
+  }
+  return decoded;
+}
+
+function parseListingState(hash) {
+  const state = emptyListingState();
   if (!hash) {
-    return undefined;
-  }
-  const hasValuesStrs = hash.split(kAnd);
-  const hashValues = hasValuesStrs
-    .map((hashValueStr) => {
-      const vals = hashValueStr.split(kEquals);
-      if (vals.length === 2) {
-        return { name: vals[0], value: vals[1] };
-      } else {
-        return undefined;
+    return state;
+  }
+
+  // Very old links use #name:value|name1:value1
+  const pairs =
+    !hash.includes(kEquals) && hash.includes(":")
+      ? hash.split("|").map((pair) => pair.split(":"))
+      : hash.split(kAnd).map((pair) => pair.split(kEquals));
+
+  for (const [name, value] of pairs) {
+    if (value === undefined) {
+      continue;
+    }
+    if (name === kCategoryKey) {
+      state.categories = value
+        .split(/,|%2C/i)
+        .map(decodeHashValue)
+        .filter((category) => category !== "");
+    } else if (name === kCategoryModeKey) {
+      state.mode = value === "and" ? "and" : "or";
+    } else if (name === kArchiveKey) {
+      state.archive = /^\d{4}(-\d{2})?$/.test(value) ? value : "";
+    } else if (name === kSortKey) {
+      state.sort = decodeHashValue(value);
+    } else if (name === kSearchKey) {
+      state.search = decodeHashValue(value);
+    } else if (name.endsWith("-page")) {
+      const page = parseInt(value, 10);
+      if (page > 0) {
+        state.pages[name.slice(0, -"-page".length)] = page;
       }
-    })
-    .filter((value) => {
-      return value !== undefined;
-    });
+    }
+  }
+  return state;
+}
+
+function makeListingHash(state) {
+  const values = [];
+  if (state.categories.length > 0) {
+    values.push([
+      kCategoryKey,
+      state.categories.map(encodeURIComponent).join(","),
+    ]);
+    if (state.mode === "and") {
+      values.push([kCategoryModeKey, state.mode]);
+    }
+  }
+  if (state.archive) {
+    values.push([kArchiveKey, state.archive]);
+  }
+  if (state.sort) {
+    values.push([kSortKey, encodeURIComponent(state.sort)]);
+  }
+  if (state.search) {
+    values.push([kSearchKey, encodeURIComponent(state.search)]);
+  }
+  for (const listingId of Object.keys(state.pages)) {
+    if (state.pages[listingId] > 1) {
+      values.push([getListingPageKey(listingId), state.pages[listingId]]);
+    }
+  }
+  return values.map((value) => value.join(kEquals)).join(kAnd);
+}
+
+// Merge changes into the state in the URL; a new filter, sort or search starts
+// again from the first page. Use { replace: true } for changes that shouldn't
+// add a history entry.
+function setListingState(changes, options = {}) {
+  if (applyingState) {
+    return;
+  }
+
+  const state = { ...getListingState(), ...changes };
+  if (!changes.pages) {
+    state.pages = {};
+  }
 
-  const hashObj = {};
-  hashValues.forEach((hashValue) => {
-    hashObj[hashValue.name] = decodeURIComponent(hashValue.value);
+  const hash = makeListingHash(state);
+  if (hash === makeListingHash(getListingState())) {
+    return;
+  }
+  const url = hash
+    ? `#${hash}`
+    : window.location.pathname + window.location.search;
+  if (options.replace) {
+    window.history.replaceState(null, null, url);
+  } else {
+    window.history.pushState(null, null, url);
+  }
+}
+
+// Show the listings as described by a state (without writing it back to the URL)
+function applyListingState(state) {
+  applyingState = true;
+  try {
+    activateCategories(state.categories, state.mode);
+
+    // Other listings have no sort menu or archive, so they ignore those
+    activateArchive(hasSortAndArchive ? state.archive : "");
+
+    activeSort = hasSortAndArchive ? state.sort : "";
+    const sortEls = window.document.querySelectorAll(
+      ".quarto-listing-sort select"
+    );
+    for (const sortEl of sortEls) {
+      sortEl.value = activeSort;
+    }
+    const listingIds = Object.keys(window["quarto-listings"]);
+    for (const listingId of listingIds) {
+      const list = window["quarto-listings"][listingId];
+      if (list) {
+        sortListing(list);
+      }
+    }
+
+    const searchEls = window.document.querySelectorAll(
+      ".quarto-listing-search input"
+    );
+    for (const searchEl of searchEls) {
+      searchEl.value = state.search;
+    }
+  } finally {
+    applyingState = false;
+  }
+
+  // Searching may have to load the index first, so pages are shown once it has run
+  return searchListings(state.search).then(() => {
+    const listingIds = Object.keys(window["quarto-listings"]);
+    for (const listingId of listingIds) {
+      showPage(listingId, state.pages[listingId] || 1);
+    }
   });
-  return hashObj;
 }
 
-function makeHash(obj) {
-  return Object.keys(obj)
-    .map((key) => {
-      return `${key}${kEquals}${obj[key]}`;
-    })
-    .join(kAnd);
+// Sort orders are written as <field>-<asc|desc>, e.g. date-desc; an empty
+// sort keeps the order the listing was rendered in (or, while searching,
+// ranks the posts by relevance)
+let activeSort = "";
+const kRelevanceSort = "relevance";
+const kSortFields = {
+  date: "listing-date-sort",
+  title: "listing-title",
+  "reading-time": "listing-reading-time-sort",
+};
+
+// The sort menu and year/month archive are only added to the blog listing
+// (posts/index.qmd); other listings keep the order and filters they were rendered with
+const kSortAndArchivePage = "posts/";
+const hasSortAndArchive =
+  window.location.href.split(/[?#]/)[0].replace(/index\.html$/, "") ===
+  new URL(kSortAndArchivePage, kSiteRoot).href;
+
+// The sort orders offered in the sort menu, after the listing's own order ("")
+const kSortOptions = [
+  ["date-desc", "Newest first"],
+  ["date-asc", "Oldest first"],
+  ["title-asc", "Title (A–Z)"],
+  ["title-desc", "Title (Z–A)"],
+  ["reading-time-asc", "Shortest read"],
+  ["reading-time-desc", "Longest read"],
+];
+
+// A list.js value, or the item's data attribute if list.js doesn't track it
+function getItemValue(item, name) {
+  const value = item.values()[name];
+  if (value !== undefined && value !== null) {
+    return value;
+  }
+  return item.elm ? item.elm.getAttribute(`data-${name}`) : null;
+}
+
+// Compare numbers as numbers, and everything else as (natural) text
+function compareItemValues(name) {
+  return (itemA, itemB) => {
+    const valueA = getItemValue(itemA, name);
+    const valueB = getItemValue(itemB, name);
+    const numberA = parseFloat(valueA);
+    const numberB = parseFloat(valueB);
+    if (!isNaN(numberA) && !isNaN(numberB)) {
+      return numberA - numberB;
+    }
+    return String(valueA || "").localeCompare(String(valueB || ""), undefined, {
+      numeric: true,
+      sensitivity: "base",
+    });
+  };
 }
 
-function setHash(obj) {
-  const hash = makeHash(obj);
-  window.history.pushState(null, null, `#${hash}`);
+function sortListing(list) {
+  const sort = activeSort || (activeSearch ? kRelevanceSort : "");
+  if ((list.listingSort || "") === sort) {
+    return;
+  }
+  list.listingSort = sort;
+  resetListingDepth(list);
+
+  const match = sort.match(/^(.+)-(asc|desc)$/);
+  if (sort === kRelevanceSort) {
+    list.sort("index", {
+      order: "asc",
+      sortFunction: (itemA, itemB) =>
+        getSearchScore(itemB) - getSearchScore(itemA) ||
+        Number(itemA.values().index) - Number(itemB.values().index),
+    });
+  } else if (match) {
+    const field = kSortFields[match[1]] || match[1];
+    list.sort(field, {
+      order: match[2],
+      sortFunction: compareItemValues(field),
+    });
+  } else {
+    list.sort("index", { order: "asc" });
+  }
 }
 
+// In load-more and infinite mode, `page` is how many pages are shown
 function showPage(listingId, page) {
   const list = window["quarto-listings"][listingId];
   if (list) {
-    list.show((page - 1) * list.page + 1, list.page);
+    if (getPaginationMode() === "numbers") {
+      list.show((page - 1) * list.page + 1, list.page);
+    } else {
+      list.show(1, page * list.listingPageSize);
+    }
   }
 }
 
-function activateCategory(category) {
-  // Deactivate existing categories
-  const activeEls = window.document.querySelectorAll(
-    ".quarto-listing-category .category.active"
+function makeCategoryModeToggle() {
+  const toggleEl = window.document.createElement("div");
+  toggleEl.classList.add(
+    "quarto-listing-category-mode",
+    "btn-group",
+    "btn-group-sm",
+    "mb-2"
   );
-  for (const activeEl of activeEls) {
-    activeEl.classList.remove("active");
+  toggleEl.setAttribute("role", "group");
+  toggleEl.setAttribute("aria-label", "Combine selected categories with");
+
+  for (const mode of Object.keys(kCategoryModes)) {
+    const buttonEl = window.document.createElement("button");
+    buttonEl.setAttribute("type", "button");
+    buttonEl.setAttribute("data-mode", mode);
+    buttonEl.classList.add("btn", "btn-outline-secondary");
+    buttonEl.title =
+      mode === "and"
+        ? "Show posts in all of the selected categories"
+        : "Show posts in any of the selected categories";
+    buttonEl.textContent = kCategoryModes[mode];
+    buttonEl.onclick = () => {
+      activateCategories(activeCategories, mode);
+      setListingState({ categories: activeCategories, mode });
+    };
+    toggleEl.appendChild(buttonEl);
   }
+  return toggleEl;
+}
 
-  // Activate this category
-  const categoryEl = window.document.querySelector(
-    `.quarto-listing-category .category[data-category='${btoa(
-      encodeURIComponent(category)
-    )}']`
+// The category feeds (written by utils/build-feeds.js) are linked from the
+// head of the listing page; offer the one of the selected category
+function findCategoryFeed(category) {
+  const feedEls = window.document.querySelectorAll(
+    'link[rel="alternate"][data-category]'
   );
-  if (categoryEl) {
-    categoryEl.classList.add("active");
+  for (const feedEl of feedEls) {
+    if (feedEl.getAttribute("data-category") === category) {
+      return feedEl;
+    }
   }
+  return null;
+}
 
-  // Filter the listings to this category
-  filterListingCategory(category);
+function makeCategoryFeedLink() {
+  if (
+    !window.document.querySelector('link[rel="alternate"][data-category]')
+  ) {
+    return null;
+  }
+  const feedEl = window.document.createElement("a");
+  feedEl.classList.add("quarto-listing-category-feed", "d-none");
+  return feedEl;
 }
 
-function filterListingCategory(category) {
+function updateCategoryFeedLinks() {
+  const feed =
+    activeCategories.length === 1
+      ? findCategoryFeed(activeCategories[0])
+      : null;
+  const feedEls = window.document.querySelectorAll(
+    ".quarto-listing-category-feed"
+  );
+  for (const feedEl of feedEls) {
+    feedEl.classList.toggle("d-none", !feed);
+    if (feed) {
+      feedEl.href = feed.href;
+      feedEl.textContent = `RSS feed of the ${activeCategories[0]} posts`;
+    }
+  }
+}
+
+function toggleCategory(category) {
+  let categories;
+  if (category === "") {
+    // the "All" chip clears the selection
+    categories = [];
+  } else if (activeCategories.includes(category)) {
+    categories = activeCategories.filter((active) => active !== category);
+  } else {
+    categories = [...activeCategories, category];
+  }
+
+  activateCategories(categories, categoryMode);
+  setListingState({ categories: activeCategories, mode: categoryMode });
+}
+
+function activateCategories(categories, mode) {
+  activeCategories = categories;
+  categoryMode = mode;
+
+  // Mark the selected categories (or the "All" chip, if there are none)
+  const categoryEls = window.document.querySelectorAll(
+    ".quarto-listing-category .category"
+  );
+  for (const categoryEl of categoryEls) {
+    const category = decodeURIComponent(
+      atob(categoryEl.getAttribute("data-category"))
+    );
+    const active =
+      category === ""
+        ? categories.length === 0
+        : categories.includes(category);
+    categoryEl.classList.toggle("active", active);
+    categoryEl.setAttribute("aria-pressed", active ? "true" : "false");
+  }
+
+  const modeEls = window.document.querySelectorAll(
+    ".quarto-listing-category-mode button"
+  );
+  for (const modeEl of modeEls) {
+    const active = modeEl.getAttribute("data-mode") === mode;
+    modeEl.classList.toggle("active", active);
+    modeEl.setAttribute("aria-pressed", active ? "true" : "false");
+  }
+
+  // Filter the listings to these categories
+  filterListings();
+  updateCategoryCounts();
+  updateArchiveCounts();
+  updateCategoryFeedLinks();
+}
+
+function getItemCategories(item) {
+  const itemValues = item.values();
+  if (itemValues.categories === null || itemValues.categories === undefined) {
+    return [];
+  }
+  return decodeURIComponent(atob(itemValues.categories)).split(",");
+}
+
+function filterListings() {
   const listingIds = Object.keys(window["quarto-listings"]);
   for (const listingId of listingIds) {
     const list = window["quarto-listings"][listingId];
     if (list) {
-      if (category === "") {
+      resetListingDepth(list);
+      if (activeCategories.length === 0 && !activeSearch && !activeArchive) {
         // resets the filter
         list.filter();
       } else {
-        // filter to this category
+        // filter to any (or all) of the categories, the archive period
+        // and the search results
         list.filter(function (item) {
-          const itemValues = item.values();
-          if (itemValues.categories !== null) {
-            const categories = decodeURIComponent(
-              atob(itemValues.categories)
-            ).split(",");
-            return categories.includes(category);
-          } else {
-            return false;
-          }
+          return (
+            matchesCategories(item) &&
+            matchesArchive(item) &&
+            getSearchScore(item) > 0
+          );
         });
       }
     }
   }
 }
+
+function matchesCategories(item) {
+  if (activeCategories.length === 0) {
+    return true;
+  }
+  const itemCategories = getItemCategories(item);
+  return categoryMode === "and"
+    ? activeCategories.every((category) => itemCategories.includes(category))
+    : activeCategories.some((category) => itemCategories.includes(category));
+}
+
+function updateCategoryCounts() {
+  // Count the posts that are still shown, per category
+  const counts = new Map();
+  let total = 0;
+  const listingIds = Object.keys(window["quarto-listings"] || {});
+  for (const listingId of listingIds) {
+    const list = window["quarto-listings"][listingId];
+    if (list) {
+      for (const item of list.matchingItems) {
+        total++;
+        for (const category of getItemCategories(item)) {
+          counts.set(category, (counts.get(category) || 0) + 1);
+        }
+      }
+    }
+  }
+
+  const categoryEls = window.document.querySelectorAll(
+    ".quarto-listing-category .category"
+  );
+  for (const categoryEl of categoryEls) {
+    const countEl = categoryEl.querySelector(".quarto-category-count");
+    if (countEl) {
+      const category = decodeURIComponent(
+        atob(categoryEl.getAttribute("data-category"))
+      );
+      const count = category === "" ? total : counts.get(category) || 0;
+      countEl.textContent = countEl.textContent.replace(/\d+/, count);
+      categoryEl.classList.toggle("quarto-category-empty", count === 0);
+    }
+  }
+}
+
+// Full-text search over the index built by utils/build-search-index.js
+// (window["quarto-listing-search-index"], loaded from search-index.js on first use)
+let activeSearch = null;
+let searchIndexPromise = null;
+let searchTimer = null;
+const kSearchDelay = 200;
+
+function makeSearchBox() {
+  const searchBoxEl = window.document.createElement("div");
+  searchBoxEl.classList.add("quarto-listing-search", "flex-grow-1");
+
+  const inputEl = window.document.createElement("input");
+  inputEl.setAttribute("type", "search");
+  inputEl.setAttribute("placeholder", "Search posts");
+  inputEl.setAttribute("aria-label", "Search posts");
+  inputEl.classList.add("form-control");
+  inputEl.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      // One history entry per search, not per keystroke
+      const replace = getListingState().search !== "";
+      setListingState({ search: inputEl.value }, { replace });
+      searchListings(inputEl.value);
+    }, kSearchDelay);
+  });
+
+  searchBoxEl.appendChild(inputEl);
+  return searchBoxEl;
+}
+
+function loadSearchIndex() {
+  if (!searchIndexPromise) {
+    searchIndexPromise = new Promise((resolve) => {
+      if (window["quarto-listing-search-index"]) {
+        resolve(window["quarto-listing-search-index"]);
+        return;
+      }
+      const scriptEl = window.document.createElement("script");
+      scriptEl.src = new URL("search-index.js", kSiteRoot).href;
+      scriptEl.onload = () =>
+        resolve(window["quarto-listing-search-index"] || null);
+      // Without an index, search falls back to the text shown in the listing
+      scriptEl.onerror = () => resolve(null);
+      window.document.head.appendChild(scriptEl);
+    });
+  }
+  return searchIndexPromise;
+}
+
+// Split text into lowercase terms without diacritics
+// (the same way utils/build-search-index.js tokenizes the posts)
+function tokenizeSearch(text) {
+  return text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((term) => term.length > 1);
+}
+
+// Page path of a post, for matching listing items with index entries
+function normalizePostPath(href, base) {
+  return new URL(href, base).pathname.replace(/index\.html$/, "");
+}
+
+function getItemPath(item) {
+  if (item.listingPath === undefined) {
+    const linkEl = item.elm && item.elm.querySelector("a[href]");
+    item.listingPath = linkEl
+      ? normalizePostPath(linkEl.getAttribute("href"), window.location.href)
+      : null;
+  }
+  return item.listingPath;
+}
+
+function getSearchScore(item) {
+  if (!activeSearch) {
+    return 1;
+  }
+  if (activeSearch.scores) {
+    return activeSearch.scores.get(getItemPath(item)) || 0;
+  }
+  // No index: every term has to appear in the item's text
+  const text = tokenizeSearch(item.elm ? item.elm.textContent : "").join(" ");
+  return activeSearch.terms.every((term) => text.includes(term)) ? 1 : 0;
+}
+
+// Score the posts that contain every search term (as a word or word prefix)
+function searchIndex(index, terms) {
+  if (!index.termNames) {
+    index.termNames = Object.keys(index.terms);
+  }
+
+  let scores = null;
+  for (const term of terms) {
+    const termScores = new Map();
+    for (const termName of index.termNames) {
+      if (termName.startsWith(term)) {
+        // whole words rank above prefixes
+        const weight = termName === term ? 1 : 0.5;
+        const postings = index.terms[termName];
+        for (let i = 0; i < postings.length; i += 2) {
+          const doc = postings[i];
+          const score = postings[i + 1] * weight;
+          termScores.set(doc, Math.max(termScores.get(doc) || 0, score));
+        }
+      }
+    }
+    scores =
+      scores === null
+        ? termScores
+        : new Map(
+            [...scores]
+              .filter(([doc]) => termScores.has(doc))
+              .map(([doc, score]) => [doc, score + termScores.get(doc)])
+          );
+  }
+
+  const pathScores = new Map();
+  for (const [doc, score] of scores) {
+    pathScores.set(normalizePostPath(index.docs[doc].href, kSiteRoot), score);
+  }
+  return pathScores;
+}
+
+function searchListings(query) {
+  const terms = tokenizeSearch(query || "");
+  const currentTerms = activeSearch ? activeSearch.terms.join(" ") : "";
+  if (terms.join(" ") === currentTerms) {
+    return Promise.resolve();
+  }
+
+  const loaded = terms.length > 0 ? loadSearchIndex() : Promise.resolve(null);
+  return loaded.then((index) => {
+    // a newer search may have finished first
+    if (tokenizeSearch(getListingState().search).join(" ") !== terms.join(" ")) {
+      return;
+    }
+
+    activeSearch =
+      terms.length > 0
+        ? { terms, scores: index ? searchIndex(index, terms) : null }
+        : null;
+
+    filterListings();
+    const listingIds = Object.keys(window["quarto-listings"]);
+    for (const listingId of listingIds) {
+      const list = window["quarto-listings"][listingId];
+      if (list) {
+        sortListing(list);
+        highlightSearchMatches(list);
+      }
+    }
+    updateCategoryCounts();
+    updateArchiveCounts();
+  });
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function highlightSearchMatches(list) {
+  const pattern = activeSearch
+    ? new RegExp(`(${activeSearch.terms.map(escapeRegExp).join("|")})`, "gi")
+    : null;
+
+  for (const item of list.visibleItems) {
+    const fieldEls = item.elm
+      ? item.elm.querySelectorAll(
+          ".listing-title, .listing-description, .listing-category"
+        )
+      : [];
+    for (const fieldEl of fieldEls) {
+      // Start again from the original markup
+      if (fieldEl.listingHtml === undefined) {
+        fieldEl.listingHtml = fieldEl.innerHTML;
+      } else {
+        fieldEl.innerHTML = fieldEl.listingHtml;
+      }
+      if (pattern) {
+        highlightText(fieldEl, pattern);
+      }
+    }
+  }
+}
+
+function highlightText(el, pattern) {
+  const walker = window.document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(walker.currentNode);
+  }
+
+  for (const textNode of textNodes) {
+    const parts = textNode.nodeValue.split(pattern);
+    if (parts.length === 1) {
+      continue;
+    }
+    const fragment = window.document.createDocumentFragment();
+    parts.forEach((part, i) => {
+      if (i % 2 === 1) {
+        const markEl = window.document.createElement("mark");
+        markEl.classList.add("quarto-listing-search-match");
+        markEl.textContent = part;
+        fragment.appendChild(markEl);
+      } else if (part) {
+        fragment.appendChild(window.document.createTextNode(part));
+      }
+    });
+    textNode.parentNode.replaceChild(fragment, textNode);
+  }
+}
+
+// "Load more" and infinite scroll: instead of moving between pages, the next
+// page's items are appended. The URL keeps how many pages are shown, so a
+// reload returns to the same depth.
+const kPaginationModes = ["numbers", "load-more", "infinite"];
+
+function getPaginationMode() {
+  const mode = getListingOption("paginationMode");
+  return kPaginationModes.includes(mode) ? mode : "numbers";
+}
+
+function getListingDepth(list) {
+  return Math.max(1, Math.ceil(list.page / list.listingPageSize));
+}
+
+// A new filter, sort or search starts again from the first page
+function resetListingDepth(list) {
+  if (list.listingPageSize && getPaginationMode() !== "numbers") {
+    list.page = list.listingPageSize;
+  }
+}
+
+function setupLoadMore(listingId, list) {
+  const paginationNavEl = window.document.getElementById(
+    `${listingId}-pagination`
+  );
+  if (paginationNavEl) {
+    paginationNavEl.classList.add("d-none");
+  }
+
+  const buttonEl = window.document.createElement("button");
+  buttonEl.setAttribute("type", "button");
+  buttonEl.classList.add(
+    "quarto-listing-load-more",
+    "btn",
+    "btn-outline-secondary",
+    "d-block",
+    "mx-auto",
+    "my-3"
+  );
+  buttonEl.textContent = "Load more posts";
+  buttonEl.onclick = () => {
+    loadMore(listingId, true);
+  };
+  list.list.parentNode.insertBefore(buttonEl, list.list.nextSibling);
+  list.listingLoadMoreEl = buttonEl;
+
+  // Infinite scroll loads the next page as the button comes into view (the
+  // button stays as a fallback for keyboards and older browsers)
+  if (getPaginationMode() === "infinite" && "IntersectionObserver" in window) {
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          loadMore(listingId, false);
+          // observe again, in case the button is still in view
+          observer.unobserve(buttonEl);
+          observer.observe(buttonEl);
+        }
+      },
+      { rootMargin: getListingOption("lazyRootMargin") }
+    );
+    observer.observe(buttonEl);
+  }
+
+  updateLoadMore(list);
+}
+
+function loadMore(listingId, moveFocus) {
+  const list = window["quarto-listings"][listingId];
+  if (!list || list.visibleItems.length >= list.matchingItems.length) {
+    return;
+  }
+
+  const firstNewIndex = list.visibleItems.length;
+  const depth = getListingDepth(list) + 1;
+
+  // list.js re-renders the shown items, so keep the scroll position as it was
+  const scrollX = window.scrollX;
+  const scrollY = window.scrollY;
+  showPage(listingId, depth);
+  window.scrollTo(scrollX, scrollY);
+
+  // The depth replaces the current history entry: Back leaves the listing
+  // rather than stepping through every "Load more"
+  const pages = { ...getListingState().pages };
+  pages[listingId] = depth;
+  setListingState({ pages }, { replace: true });
+
+  // Continue from the first new post (the button has moved below it)
+  if (moveFocus) {
+    const firstNewItem = list.visibleItems[firstNewIndex];
+    const linkEl = firstNewItem && firstNewItem.elm.querySelector("a[href]");
+    if (linkEl) {
+      linkEl.focus({ preventScroll: true });
+    }
+  }
+}
+
+function updateLoadMore(list) {
+  if (list.listingLoadMoreEl) {
+    list.listingLoadMoreEl.classList.toggle(
+      "d-none",
+      list.visibleItems.length >= list.matchingItems.length
+    );
+  }
+}
+
+// Name the order a listing was rendered in (its `sort:`) from its items' dates:
+// the matching option from kSortOptions, or null if it isn't by date
+function findRenderedSort(list) {
+  const dates = list.items.map((item) =>
+    parseFloat(getItemValue(item, "listing-date-sort"))
+  );
+  if (dates.length < 2 || dates.some((date) => isNaN(date))) {
+    return null;
+  }
+  const isOrdered = (order) =>
+    dates.every(
+      (date, i) =>
+        i === 0 || (order === "desc" ? dates[i - 1] >= date : dates[i - 1] <= date)
+    );
+  const value = isOrdered("desc") ? "date-desc" : isOrdered("asc") ? "date-asc" : null;
+  return kSortOptions.find((option) => option[0] === value) || null;
+}
+
+function makeSortControl(list) {
+  const sortEl = window.document.createElement("div");
+  sortEl.classList.add("quarto-listing-sort");
+
+  const selectEl = window.document.createElement("select");
+  selectEl.classList.add("form-select");
+  selectEl.setAttribute("aria-label", "Sort posts");
+  // The listing's own order comes first, under its name if it is by date
+  const renderedSort = findRenderedSort(list);
+  const options = [
+    ["", renderedSort ? renderedSort[1] : "Default order"],
+    ...kSortOptions.filter((option) => option !== renderedSort),
+  ];
+  for (const [value, label] of options) {
+    const optionEl = window.document.createElement("option");
+    optionEl.value = value;
+    optionEl.textContent = label;
+    selectEl.appendChild(optionEl);
+  }
+  selectEl.addEventListener("change", () => {
+    activeSort = selectEl.value;
+    const listingIds = Object.keys(window["quarto-listings"]);
+    for (const listingId of listingIds) {
+      const list = window["quarto-listings"][listingId];
+      if (list) {
+        sortListing(list);
+      }
+    }
+    setListingState({ sort: activeSort });
+  });
+
+  sortEl.appendChild(selectEl);
+  return sortEl;
+}
+
+// Year/month archive: "2024" or "2024-03" (empty for all posts)
+let activeArchive = "";
+
+// The year and month a post was published, from the date list.js sorts by
+// (a timestamp for midnight at the start of the day, on the machine that rendered
+// the site; half a day later is the same date in every time zone)
+function getItemPeriod(item) {
+  const timestamp = parseFloat(getItemValue(item, "listing-date-sort"));
+  if (isNaN(timestamp)) {
+    return null;
+  }
+  const date = new Date(timestamp + 12 * 60 * 60 * 1000);
+  const year = String(date.getUTCFullYear());
+  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
+  return { year, month: `${year}-${month}` };
+}
+
+function matchesArchive(item) {
+  if (!activeArchive) {
+    return true;
+  }
+  const period = getItemPeriod(item);
+  return (
+    period !== null &&
+    (period.year === activeArchive || period.month === activeArchive)
+  );
+}
+
+function getAllListingItems() {
+  const items = [];
+  const listingIds = Object.keys(window["quarto-listings"] || {});
+  for (const listingId of listingIds) {
+    const list = window["quarto-listings"][listingId];
+    if (list) {
+      items.push(...list.items);
+    }
+  }
+  return items;
+}
+
+function makeArchive() {
+  // Years (newest first), each with its months
+  const periods = new Map();
+  for (const item of getAllListingItems()) {
+    const period = getItemPeriod(item);
+    if (period) {
+      if (!periods.has(period.year)) {
+        periods.set(period.year, new Set());
+      }
+      periods.get(period.year).add(period.month);
+    }
+  }
+
+  const archiveEl = window.document.createElement("div");
+  archiveEl.classList.add("quarto-listing-archive", "mt-3");
+  if (periods.size === 0) {
+    return archiveEl;
+  }
+
+  const titleEl = window.document.createElement("div");
+  titleEl.classList.add("quarto-listing-archive-title");
+  titleEl.textContent = "Archive";
+  archiveEl.appendChild(titleEl);
+
+  const yearsEl = window.document.createElement("ul");
+  yearsEl.classList.add("list-unstyled");
+  yearsEl.setAttribute("aria-label", "Filter posts by year");
+  const years = [...periods.keys()].sort().reverse();
+  for (const year of years) {
+    const yearEl = window.document.createElement("li");
+    yearEl.appendChild(makeArchiveButton(year, year));
+
+    const monthsEl = window.document.createElement("ul");
+    monthsEl.classList.add("list-unstyled", "ms-3", "d-none");
+    monthsEl.setAttribute("data-year", year);
+    const months = [...periods.get(year)].sort().reverse();
+    for (const month of months) {
+      const monthEl = window.document.createElement("li");
+      const monthName = new Date(`${month}-15T00:00:00Z`).toLocaleString(
+        "en",
+        { month: "long", timeZone: "UTC" }
+      );
+      monthEl.appendChild(makeArchiveButton(month, monthName));
+      monthsEl.appendChild(monthEl);
+    }
+    yearEl.appendChild(monthsEl);
+    yearsEl.appendChild(yearEl);
+  }
+  archiveEl.appendChild(yearsEl);
+  return archiveEl;
+}
+
+function makeArchiveButton(period, label) {
+  const buttonEl = window.document.createElement("button");
+  buttonEl.setAttribute("type", "button");
+  buttonEl.setAttribute("data-archive", period);
+  buttonEl.setAttribute("aria-pressed", "false");
+  buttonEl.classList.add("archive-period", "btn", "btn-link", "p-0");
+  buttonEl.textContent = `${label} `;
+
+  const countEl = window.document.createElement("span");
+  countEl.classList.add("quarto-archive-count");
+  countEl.textContent = "(0)";
+  buttonEl.appendChild(countEl);
+
+  // Clicking the selected period again shows every post
+  buttonEl.onclick = () => {
+    activateArchive(activeArchive === period ? "" : period);
+    setListingState({ archive: activeArchive });
+  };
+  return buttonEl;
+}
+
+function activateArchive(archive) {
+  const changed = archive !== activeArchive;
+  activeArchive = archive;
+
+  const buttonEls = window.document.querySelectorAll(
+    ".quarto-listing-archive .archive-period"
+  );
+  for (const buttonEl of buttonEls) {
+    const active = buttonEl.getAttribute("data-archive") === archive;
+    buttonEl.classList.toggle("active", active);
+    buttonEl.setAttribute("aria-pressed", active ? "true" : "false");
+  }
+
+  // Show the months of the selected year
+  const monthsEls = window.document.querySelectorAll(
+    ".quarto-listing-archive ul[data-year]"
+  );
+  for (const monthsEl of monthsEls) {
+    monthsEl.classList.toggle(
+      "d-none",
+      archive.slice(0, 4) !== monthsEl.getAttribute("data-year")
+    );
+  }
+
+  if (changed) {
+    filterListings();
+    updateCategoryCounts();
+  }
+  updateArchiveCounts();
+}
+
+function updateArchiveCounts() {
+  // Count the posts per year and month that match the other filters, so the
+  // counts stay useful while a period is selected
+  const counts = new Map();
+  for (const item of getAllListingItems()) {
+    const period = getItemPeriod(item);
+    if (period && matchesCategories(item) && getSearchScore(item) > 0) {
+      counts.set(period.year, (counts.get(period.year) || 0) + 1);
+      counts.set(period.month, (counts.get(period.month) || 0) + 1);
+    }
+  }
+
+  const buttonEls = window.document.querySelectorAll(
+    ".quarto-listing-archive .archive-period"
+  );
+  for (const buttonEl of buttonEls) {
+    const count = counts.get(buttonEl.getAttribute("data-archive")) || 0;
+    buttonEl.querySelector(".quarto-archive-count").textContent = `(${count})`;
+    buttonEl.classList.toggle("quarto-category-empty", count === 0);
+  }
+}
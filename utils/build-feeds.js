@@ -0,0 +1,294 @@
+/**
+ * Blog feed validation and per-category feeds
+ *
+ * Validates the RSS feed Quarto writes for the blog listing (`feed: true` in
+ * posts/index.qmd) before it is published:
+ *
+ * - the feed is well-formed XML;
+ * - channel, item and media links are absolute and, when they point into the
+ *   site, resolve to a file in _site;
+ * - item GUIDs are unique;
+ * - pubDate and lastBuildDate are valid RFC 822 dates;
+ * - images in the item content have absolute URLs (feed readers resolve
+ *   relative ones against the wrong base, if at all).
+ *
+ * It then writes one feed per category next to it (posts/index-r.xml for the
+ * R posts, ...), with the same channel and only that category's items, and links
+ * them from the listing page (posts/index.html) with `<link rel="alternate">`, so
+ * feed readers can discover them and the category filter can offer them.
+ *
+ * Exits non-zero if the feed has problems.
+ *
+ * Usage: node build-feeds.js [--site _site] [--feed posts/index.xml] [--validate-only]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { readSiteUrl, findSiteFile } from './linkcheck/sources.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..');
+
+// RFC 822 dates as RSS 2.0 requires them, e.g. `Fri, 21 Feb 2025 00:00:00 GMT`
+const RFC822_PATTERN = /^(?:(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun), )?\d{1,2} (?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{2,4} \d{2}:\d{2}(?::\d{2})? (?:UT|GMT|EST|EDT|CST|CDT|MST|MDT|PST|PDT|[A-IK-Z]|[+-]\d{4})$/;
+
+// The XML entities that need no declaration
+const XML_ENTITIES = ['amp', 'lt', 'gt', 'quot', 'apos'];
+
+// Get the value following a command line flag, or the default
+function getArgValue(name, defaultValue) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+}
+
+// Line number of an offset in a text
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+// Check that a document is well-formed XML (a minimal checker: tags nest and close,
+// one root element, entities are known); returns the errors found
+export function checkWellFormed(xml) {
+  const errors = [];
+  const stack = [];
+  let roots = 0;
+  const tokenPattern = /<!\[CDATA\[[\s\S]*?\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/?([^\s/>]+)[^>]*?(\/?)>|<|&(#x[0-9a-f]+|#\d+|\w+)?;?/gi;
+  let match;
+
+  while ((match = tokenPattern.exec(xml)) !== null) {
+    const [token, name, selfClosing, entity] = match;
+    const line = lineAt(xml, match.index);
+
+    if (token === '<') {
+      errors.push({ line, message: 'Unescaped "<"' });
+    } else if (token.startsWith('&')) {
+      const known = entity && (entity.startsWith('#') || XML_ENTITIES.includes(entity));
+      if (!known || !token.endsWith(';')) {
+        errors.push({ line, message: `Invalid entity "${token}"` });
+      }
+    } else if (!name) {
+      continue;
+    } else if (token.startsWith('</')) {
+      const open = stack.pop();
+      if (open !== name) {
+        errors.push({ line, message: open ? `</${name}> closes <${open}>` : `Unexpected </${name}>` });
+        return errors;
+      }
+    } else {
+      if (stack.length === 0 && ++roots > 1) {
+        errors.push({ line, message: `Second root element <${name}>` });
+      }
+      if (!selfClosing) {
+        stack.push(name);
+      }
+    }
+  }
+
+  if (stack.length > 0) {
+    errors.push({ line: lineAt(xml, xml.length), message: `Unclosed <${stack.pop()}>` });
+  }
+  return errors;
+}
+
+// Check a link from the feed: absolute, and present in the site if it points into it
+function checkLink(url, what, { siteUrl, siteDir }) {
+  if (!url) {
+    return `${what} is empty`;
+  }
+  if (!/^https?:\/\//.test(url)) {
+    return `${what} is not an absolute URL: ${url}`;
+  }
+  if (siteUrl && url.startsWith(siteUrl) && !findSiteFile(url, siteUrl, siteDir)) {
+    return `${what} has no file in the site: ${url}`;
+  }
+  return null;
+}
+
+// Check a date element's value
+function checkDate(value, what) {
+  if (!RFC822_PATTERN.test(value) || Number.isNaN(new Date(value).getTime())) {
+    return `${what} is not a valid RFC 822 date: "${value}"`;
+  }
+  return null;
+}
+
+// Validate the contents of a well-formed feed; returns the problems found ({ item, message })
+export function validateFeed(xml, options) {
+  const problems = [];
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const channel = $('channel').first();
+  const report = (item, message) => message && problems.push({ item, message });
+
+  if (channel.length === 0) {
+    return [{ item: null, message: 'No <channel> element' }];
+  }
+  report(null, checkLink(channel.children('link').text().trim(), 'Channel <link>', options));
+  channel.children('atom\\:link').each((_, el) => {
+    report(null, checkLink($(el).attr('href'), 'Channel <atom:link>', options));
+  });
+  const lastBuildDate = channel.children('lastBuildDate').text().trim();
+  if (lastBuildDate) {
+    report(null, checkDate(lastBuildDate, '<lastBuildDate>'));
+  }
+
+  const guids = new Map();
+  channel.children('item').each((index, el) => {
+    const item = $(el);
+    const title = item.children('title').text().trim() || `Item ${index + 1}`;
+
+    report(title, checkLink(item.children('link').text().trim(), '<link>', options));
+    item.children('media\\:content, enclosure').each((_, media) => {
+      report(title, checkLink($(media).attr('url'), `<${media.name}>`, options));
+    });
+
+    const guid = item.children('guid').text().trim();
+    if (!guid) {
+      report(title, 'No <guid>');
+    } else if (guids.has(guid)) {
+      report(title, `<guid> ${guid} is also used by "${guids.get(guid)}"`);
+    } else {
+      guids.set(guid, title);
+    }
+
+    const pubDate = item.children('pubDate').text().trim();
+    report(title, pubDate ? checkDate(pubDate, '<pubDate>') : 'No <pubDate>');
+
+    // The content is HTML inside the description (usually CDATA)
+    const content = cheerio.load(item.children('description').text());
+    content('img[src]').each((_, img) => {
+      const src = content(img).attr('src');
+      if (!/^(https?:|data:)/.test(src)) {
+        report(title, `Relative image URL in the content: ${src}`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+// File name part for a category feed, e.g. `Open science` -> `open-science`
+function slugifyCategory(category) {
+  return category
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+  return cheerio.load(`<x>${text}</x>`, { xmlMode: true })('x').text();
+}
+
+// Build one feed per category from the items of a feed
+// The items are copied as written, so their content stays byte for byte the same
+// Returns [{ category, fileName, xml, count }]
+export function buildCategoryFeeds(xml, feedFileName) {
+  const firstItem = xml.search(/<item[\s>]/);
+  if (firstItem === -1) {
+    return [];
+  }
+
+  const itemPattern = /[ \t]*<item[\s>][\s\S]*?<\/item>[ \t]*\n?/g;
+  const items = [...xml.matchAll(itemPattern)].map(match => ({
+    text: match[0],
+    categories: [...match[0].matchAll(/<category[^>]*>([\s\S]*?)<\/category>/g)]
+      .map(category => unescapeXml(category[1]).trim())
+  }));
+  const head = xml.slice(0, firstItem).replace(/[ \t]*$/, '');
+  const tail = xml.slice(firstItem).replace(itemPattern, '');
+  const base = path.basename(feedFileName, '.xml');
+
+  const categories = [...new Set(items.flatMap(item => item.categories))].sort((a, b) => a.localeCompare(b));
+  return categories.map(category => {
+    const fileName = `${base}-${slugifyCategory(category)}.xml`;
+    const channelHead = head
+      .replace(/(<channel>[\s\S]*?<title>)([\s\S]*?)(<\/title>)/, (_, open, title, close) => {
+        const newTitle = title.startsWith('<![CDATA[')
+          ? title.replace(/\]\]>$/, ` - ${category}]]>`)
+          : `${title} - ${escapeXml(category)}`;
+        return open + newTitle + close;
+      })
+      .replace(/(<atom:link[^>]*href=")([^"]*)"/, (_, open, href) => `${open}${href.replace(/[^/]*$/, fileName)}"`);
+    const categoryItems = items.filter(item => item.categories.includes(category));
+    return {
+      category,
+      fileName,
+      xml: channelHead + categoryItems.map(item => item.text).join('') + tail,
+      count: categoryItems.length
+    };
+  });
+}
+
+// Link the category feeds from the listing page's <head>, each marked with its
+// category (`data-category`); links from an earlier run are replaced
+export function addCategoryFeedLinks(html, feeds, channelTitle) {
+  const cleaned = html.replace(/[ \t]*<link rel="alternate" type="application\/rss\+xml"[^>]*\sdata-category="[^"]*"[^>]*>\n?/g, '');
+  const links = feeds.map(feed =>
+    `<link rel="alternate" type="application/rss+xml" title="${escapeXml(`${channelTitle} - ${feed.category}`)}" href="${feed.fileName}" data-category="${escapeXml(feed.category)}">\n`);
+  return cleaned.replace(/<\/head>/i, match => links.join('') + match);
+}
+
+function main() {
+  const siteDir = path.resolve(projectRoot, getArgValue('--site', '_site'));
+  const feedPath = path.resolve(siteDir, getArgValue('--feed', 'posts/index.xml'));
+  const validateOnly = process.argv.includes('--validate-only');
+  const siteUrl = readSiteUrl(projectRoot);
+
+  if (!fs.existsSync(feedPath)) {
+    console.error(`❌ Feed not found at ${feedPath}. Run 'quarto render' first.`);
+    process.exit(1);
+  }
+  if (!siteUrl) {
+    console.warn('⚠️  No site-url in _quarto.yml; feed links cannot be matched to files.');
+  }
+
+  const xml = fs.readFileSync(feedPath, 'utf8');
+  const xmlErrors = checkWellFormed(xml);
+  const problems = xmlErrors.length > 0
+    ? xmlErrors.map(error => ({ item: null, message: `Line ${error.line}: ${error.message}` }))
+    : validateFeed(xml, { siteUrl, siteDir });
+
+  if (problems.length === 0) {
+    console.log(`✅ Feed is valid: ${path.relative(projectRoot, feedPath)}`);
+  } else {
+    console.log(`⚠️  ${problems.length} feed problem(s) in ${path.relative(projectRoot, feedPath)}:`);
+    for (const { item, message } of problems) {
+      console.log(`  ${item ? `"${item}": ` : ''}${message}`);
+    }
+  }
+
+  // Category feeds are copied from the feed, so only a well-formed one is split
+  if (!validateOnly && xmlErrors.length === 0) {
+    const feeds = buildCategoryFeeds(xml, path.basename(feedPath));
+    for (const feed of feeds) {
+      fs.writeFileSync(path.join(path.dirname(feedPath), feed.fileName), feed.xml);
+      console.log(`📰 ${feed.category}: ${feed.count} post(s) in ${feed.fileName}`);
+    }
+
+    // The listing page the feed belongs to (posts/index.html for posts/index.xml)
+    const listingPath = feedPath.replace(/\.xml$/, '.html');
+    if (fs.existsSync(listingPath)) {
+      const channelTitle = cheerio.load(xml, { xmlMode: true })('channel > title').first().text().trim();
+      const html = fs.readFileSync(listingPath, 'utf8');
+      const linked = addCategoryFeedLinks(html, feeds, channelTitle);
+      if (linked !== html) {
+        fs.writeFileSync(listingPath, linked);
+      }
+      console.log(`🔗 Linked ${feeds.length} category feed(s) from ${path.relative(siteDir, listingPath)}`);
+    }
+  }
+
+  process.exit(problems.length > 0 ? 1 : 0);
+}
+
+// Only run as a command; importing this file just gives the functions (for the tests)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
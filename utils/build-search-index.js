@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * Blog post index
+ *
+ * Reads the rendered blog posts (drafts excluded) and writes two files to the
+ * site root:
+ *
+ * - search-index.js: a compact full-text index for the search box in the posts
+ *   listing (see _freeze/site_libs/quarto-listing/quarto-listing.js). Title,
+ *   description, categories and body text are tokenized and stored as an
+ *   inverted index: each term maps to the posts that contain it, with a score
+ *   that weights title matches above categories, description and body text.
+ *   It is a script rather than JSON, so the listing can load it with a <script>
+ *   tag and search works from plain static files, even opened from disk.
+ * - posts.json: a manifest of the posts (title, date, categories, description)
+ *   for the related posts shown under each post (posts/related-posts.html).
+ *
+ * Usage: node build-search-index.js [--site _site] [--pages posts]
+ *                                 [--output search-index.js] [--manifest posts.json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { readRenderGlobs, findSourceFile } from './linkcheck/sources.js';
+import { getFrontMatter, readYamlValues } from './lib/front-matter.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..');
+
+// How much an occurrence of a term counts, per field
+const FIELD_WEIGHTS = {
+  title: 10,
+  categories: 6,
+  description: 4,
+  body: 1
+};
+
+// Parts of a post page that are not its content
+const IGNORED_SELECTORS = [
+  'script', 'style', 'nav', 'header#title-block-header', '.quarto-title-block',
+  '#quarto-appendix', '#quarto-margin-sidebar', '.giscus'
+];
+
+// Get the value following a command line flag, or the default
+function getArgValue(name, defaultValue) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+}
+
+// Split text into lowercase terms without diacritics
+// (quarto-listing.js tokenizes search queries the same way)
+function tokenize(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1);
+}
+
+// Get all rendered pages in a directory (recursively)
+function getPostFiles(dir) {
+  const files = [];
+
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, item.name);
+    if (item.isDirectory()) {
+      files.push(...getPostFiles(fullPath));
+    } else if (item.name.endsWith('.html')) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+// Whether the source document of a rendered page is a draft
+// (with `draft-mode: unlinked`, drafts are rendered but must not be linked to)
+function isDraft($, page, globs) {
+  if ($('meta[name="quarto:status"]').attr('content') === 'draft') {
+    return true;
+  }
+  const sourceFile = findSourceFile(page, projectRoot, globs);
+  if (!sourceFile) {
+    return false;
+  }
+  const frontMatter = getFrontMatter(fs.readFileSync(sourceFile, 'utf8'));
+  return readYamlValues(frontMatter, 'draft').includes('true');
+}
+
+// Read the fields of a rendered post, or null if it isn't one
+function readPost(file, siteDir, globs) {
+  const $ = cheerio.load(fs.readFileSync(file, 'utf8'));
+  const href = path.relative(siteDir, file).split(path.sep).join('/');
+
+  // Listings, drafts and pages without a title block are not posts
+  if ($('.quarto-listing').length > 0 || isDraft($, href, globs)) {
+    return null;
+  }
+  const title = $('h1.title').first().text().trim();
+  if (!title) {
+    return null;
+  }
+
+  const post = {
+    href,
+    title,
+    date: $('meta[name="dcterms.date"]').attr('content') || null,
+    description: $('meta[name="description"]').attr('content') || '',
+    categories: $('.quarto-categories .quarto-category').map((_, el) => $(el).text().trim()).get()
+  };
+
+  // The title block is indexed through the fields above
+  const content = $('main').first();
+  content.find(IGNORED_SELECTORS.join(', ')).remove();
+  return { ...post, body: content.text() };
+}
+
+// Build the inverted index: { docs: [{ href, title }], terms: { term: [doc, score, doc, score, ...] } }
+function buildIndex(posts) {
+  const terms = new Map();
+
+  posts.forEach((post, doc) => {
+    const scores = new Map();
+    const fields = { ...post, categories: post.categories.join(' ') };
+
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const counts = new Map();
+      for (const term of tokenize(fields[field])) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+      // Repeated terms count, but with diminishing returns
+      for (const [term, count] of counts) {
+        scores.set(term, (scores.get(term) || 0) + weight * (1 + Math.log(count)));
+      }
+    }
+
+    for (const [term, score] of scores) {
+      if (!terms.has(term)) {
+        terms.set(term, []);
+      }
+      terms.get(term).push(doc, Math.round(score * 10) / 10);
+    }
+  });
+
+  return {
+    docs: posts.map(post => ({ href: post.href, title: post.title })),
+    terms: Object.fromEntries([...terms].sort(([a], [b]) => a.localeCompare(b)))
+  };
+}
+
+// The post manifest, newest first
+function buildManifest(posts) {
+  return posts
+    .map(({ href, title, date, description, categories }) => ({ href, title, date, description, categories }))
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+}
+
+function main() {
+  const siteDir = path.resolve(projectRoot, getArgValue('--site', '_site'));
+  const pagesDir = path.join(siteDir, getArgValue('--pages', 'posts'));
+  const outputPath = path.resolve(siteDir, getArgValue('--output', 'search-index.js'));
+  const manifestPath = path.resolve(siteDir, getArgValue('--manifest', 'posts.json'));
+  const globs = readRenderGlobs(projectRoot);
+
+  if (!fs.existsSync(pagesDir)) {
+    console.error(`❌ No rendered posts found in ${pagesDir}. Run 'quarto render' first.`);
+    process.exit(1);
+  }
+
+  const posts = getPostFiles(pagesDir)
+    .map(file => readPost(file, siteDir, globs))
+    .filter(Boolean);
+  const index = buildIndex(posts);
+
+  fs.writeFileSync(outputPath, `window["quarto-listing-search-index"] = ${JSON.stringify(index)};\n`);
+  console.log(`🔎 Indexed ${posts.length} post(s), ${Object.keys(index.terms).length} terms: ${path.relative(projectRoot, outputPath)}`);
+
+  fs.writeFileSync(manifestPath, JSON.stringify(buildManifest(posts), null, 2) + '\n');
+  console.log(`📄 Wrote the post manifest: ${path.relative(projectRoot, manifestPath)}`);
+}
+
+main();
@@ -0,0 +1,133 @@
+/**
+ * Low-quality previews for listing thumbnails
+ *
+ * Listing thumbnails are lazy-loaded from their `data-src` (see
+ * quarto-listing.js). This adds a `data-placeholder` to each of them: the image
+ * scaled down to a few pixels and inlined as a data URI, which the listing
+ * shows blurred until the full thumbnail has loaded.
+ *
+ * Only local PNG, JPEG, GIF and BMP thumbnails get a preview; others keep the
+ * plain placeholder background.
+ *
+ * Usage: node build-thumbnail-previews.js [--site _site] [--width 16]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Jimp } from 'jimp';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..');
+
+const PREVIEW_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.bmp'];
+
+// Get the value following a command line flag, or the default
+function getArgValue(name, defaultValue) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+}
+
+// List the rendered HTML pages (site_libs holds no listings)
+function getHtmlFiles(dir, siteDir = dir) {
+  const files = [];
+
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, item.name);
+    if (item.isDirectory() && path.relative(siteDir, fullPath) !== 'site_libs') {
+      files.push(...getHtmlFiles(fullPath, siteDir));
+    } else if (item.name.endsWith('.html')) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+// Decode a URL path, keeping it as it is if its percent-encoding is malformed
+function decodePath(urlPath) {
+  try {
+    return decodeURIComponent(urlPath);
+  } catch {
+    return urlPath;
+  }
+}
+
+// The image file a thumbnail's data-src points at, or null for remote and unsupported images
+function resolveThumbnail(src, htmlFile, siteDir) {
+  if (/^[a-z]+:/i.test(src) || src.startsWith('//')) {
+    return null;
+  }
+  const srcPath = decodePath(src.split(/[?#]/)[0]);
+  const file = srcPath.startsWith('/')
+    ? path.join(siteDir, srcPath)
+    : path.join(path.dirname(htmlFile), srcPath);
+  return PREVIEW_EXTENSIONS.includes(path.extname(file).toLowerCase()) && fs.existsSync(file) ? file : null;
+}
+
+// A tiny JPEG of the image as a data URI
+async function createPreview(file, width) {
+  const image = await Jimp.read(file);
+  image.resize({ w: width });
+  return image.getBase64('image/jpeg', { quality: 60 });
+}
+
+async function main() {
+  const siteDir = path.resolve(projectRoot, getArgValue('--site', '_site'));
+  const width = Number(getArgValue('--width', 16));
+  const previews = new Map();
+  let pageCount = 0;
+  let imageCount = 0;
+
+  if (!fs.existsSync(siteDir)) {
+    console.error(`❌ Site directory not found: ${siteDir}. Run 'quarto render' first.`);
+    process.exit(1);
+  }
+
+  for (const htmlFile of getHtmlFiles(siteDir)) {
+    const html = fs.readFileSync(htmlFile, 'utf8');
+    if (!html.includes('quarto-listing')) {
+      continue;
+    }
+
+    // Rewrite the img tags in place, so the rest of the page stays byte for byte the same
+    let changed = false;
+    const parts = [];
+    let last = 0;
+    for (const match of html.matchAll(/<img\b[^>]*>/gi)) {
+      const tag = match[0];
+      const src = tag.match(/\sdata-src="([^"]*)"/)?.[1];
+      const file = src && !/\sdata-placeholder=/.test(tag) ? resolveThumbnail(src, htmlFile, siteDir) : null;
+      if (!file) {
+        continue;
+      }
+
+      if (!previews.has(file)) {
+        previews.set(file, await createPreview(file, width).catch(error => {
+          console.warn(`⚠️  No preview for ${path.relative(siteDir, file)}: ${error.message}`);
+          return null;
+        }));
+      }
+      const preview = previews.get(file);
+      if (preview) {
+        parts.push(html.slice(last, match.index), tag.replace(/^<img\b/i, `<img data-placeholder="${preview}"`));
+        last = match.index + tag.length;
+        changed = true;
+        imageCount++;
+      }
+    }
+
+    if (changed) {
+      parts.push(html.slice(last));
+      fs.writeFileSync(htmlFile, parts.join(''));
+      pageCount++;
+    }
+  }
+
+  console.log(`🖼️  Added previews to ${imageCount} thumbnail(s) on ${pageCount} listing page(s) (${previews.size} image(s)).`);
+}
+
+main().catch(error => {
+  console.error(`❌ Could not add thumbnail previews: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,24 @@
+#!/bin/bash
+# build_feeds.sh - Validate the blog RSS feed and write the per-category feeds
+#
+# Feed problems are reported but never fail the build (see build-feeds.js).
+
+# Get the directory where this script is located (utils/)
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+# Get the project root directory (parent of utils/)
+PROJECT_ROOT="$(cd "$SCRIPT_DIR/.." && pwd)"
+
+if [[ ! -f "$PROJECT_ROOT/_site/posts/index.xml" ]]; then
+    echo "Skipping feeds; no feed found at _site/posts/index.xml."
+    exit 0
+fi
+
+# Check if node_modules exists, if not run npm install
+if [[ ! -d "$SCRIPT_DIR/node_modules" ]]; then
+    echo "Installing npm dependencies..."
+    npm install --prefix "$SCRIPT_DIR"
+fi
+
+if ! node "$SCRIPT_DIR/build-feeds.js"; then
+    echo "Continuing without failing the pipeline."
+fi
@@ -0,0 +1,23 @@
+#!/bin/bash
+# build_search_index.sh - Build the blog search index and post manifest
+#
+# Both are rebuilt from every rendered post in _site, so partial renders
+# (e.g. a single post) still produce a complete index.
+
+# Get the directory where this script is located (utils/)
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+# Get the project root directory (parent of utils/)
+PROJECT_ROOT="$(cd "$SCRIPT_DIR/.." && pwd)"
+
+if [[ ! -d "$PROJECT_ROOT/_site/posts" ]]; then
+    echo "Skipping search index; no rendered posts found in _site/posts."
+    exit 0
+fi
+
+# Check if node_modules exists, if not run npm install
+if [[ ! -d "$SCRIPT_DIR/node_modules" ]]; then
+    echo "Installing npm dependencies..."
+    npm install --prefix "$SCRIPT_DIR"
+fi
+
+node "$SCRIPT_DIR/build-search-index.js"
@@ -0,0 +1,24 @@
+#!/bin/bash
+# build_thumbnail_previews.sh - Inline low-quality previews of the listing thumbnails
+#
+# Previews are only an enhancement, so problems never fail the build.
+
+# Get the directory where this script is located (utils/)
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+# Get the project root directory (parent of utils/)
+PROJECT_ROOT="$(cd "$SCRIPT_DIR/.." && pwd)"
+
+if [[ ! -d "$PROJECT_ROOT/_site" ]]; then
+    echo "Skipping thumbnail previews; no rendered site found in _site."
+    exit 0
+fi
+
+# Check if node_modules exists, if not run npm install
+if [[ ! -d "$SCRIPT_DIR/node_modules" ]]; then
+    echo "Installing npm dependencies..."
+    npm install --prefix "$SCRIPT_DIR"
+fi
+
+if ! node "$SCRIPT_DIR/build-thumbnail-previews.js"; then
+    echo "Continuing without failing the pipeline."
+fi
@@ -5,454 +5,303 @@
  * Scans rendered HTML files for broken links.
  * Checks both hard 404s and soft 404s (pages that respond 200 but show "not found" content).
  * 
- * Usage: node check-links.js [--config path/to/config.json]
+ * Usage: node check-links.js [--config path/to/config.json] [--refresh]
+ *                             [--format json|junit|markdown] [--output path]
+ *                             [--incremental] [--files page.html ...]
+ *
+ *   --refresh      Ignore cached results and re-check every external URL
+ *   --incremental  Skip pages whose links haven't changed since they last passed
+ *                  (their external links are still re-checked once the cache expires)
+ *   --files        Only check links in these rendered pages (e.g. the ones Quarto just rebuilt)
+ *   --fix          Print the source lines where permanently moved URLs should be replaced
+ *   --bibliography Check the .bib files used by the site instead of the rendered pages:
+ *                  entry doi/url fields, citation keys with no entry, and unused entries
+ *   --crawl        Follow internal links from index.html and the navbar instead of checking
+ *                  links: orphan pages, unreferenced PDFs/images and reachable drafts
+ *   --graph        With --crawl, also write the site graph (path ending in .json or .dot)
+ *   --update-baseline  Accept the current errors into the baseline file and drop
+ *                  entries whose links work again
+ *   --include-warnings  With --update-baseline, accept the current warnings too
+ *   --archive      Look up an archived copy (Wayback Machine) of each dead external link
+ *   --archive-patch  Same, and write a patch replacing the dead links in the sources with
+ *                  their archived copies (default: linkcheck-archive.patch in the project root)
+ *   --format   Also write a machine-readable report (console output is always printed)
+ *   --output   Where to write the report (default: linkcheck-report.<ext> in the project root)
+ *
+ * This is the command line wrapper around linkcheck/checker.js, whose checkSite()
+ * and building blocks are re-exported for scripts that import this file.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import * as cheerio from 'cheerio';
-import fetch from 'node-fetch';
+import { checkSite, loadConfig, CHECK_MODES } from './linkcheck/checker.js';
+import { REPORT_FORMATS, writeReport, buildReport } from './linkcheck/reporters.js';
+import { formatLocation, replaceLink } from './linkcheck/sources.js';
+import { GRAPH_FORMATS } from './linkcheck/crawl.js';
+import { updateBaseline } from './linkcheck/baseline.js';
+import { buildArchivePatch } from './linkcheck/archive.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
-// Default configuration
-const DEFAULT_CONFIG = {
-  siteDir: '_site',
-  concurrency: 20,
-  timeout: 10000,
-  excludePatterns: ['^mailto:', '^tel:', '^javascript:', '^#'],
-  skipDomains: [],
-  softNotFoundPatterns: [
-    'page not found',
-    '404',
-    'not found',
-    'does not exist',
-    'no longer available',
-    'has been removed',
-    "this page doesn't exist"
-  ]
-};
-
-// Load configuration
-function loadConfig() {
-  const configArg = process.argv.indexOf('--config');
-  const configPath = configArg !== -1 && process.argv[configArg + 1]
-    ? path.resolve(process.argv[configArg + 1])
-    : path.join(__dirname, 'linkcheck.config.json');
-  
-  let config = { ...DEFAULT_CONFIG };
-  
-  if (fs.existsSync(configPath)) {
-    try {
-      const userConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-      config = { ...config, ...userConfig };
-    } catch (e) {
-      console.error(`Warning: Could not parse config file: ${e.message}`);
-    }
-  }
-  
-  return config;
-}
+export * from './linkcheck/checker.js';
 
-// Get all HTML files recursively
-function getHtmlFiles(dir) {
-  const files = [];
-  
-  if (!fs.existsSync(dir)) {
-    return files;
-  }
-  
-  const items = fs.readdirSync(dir, { withFileTypes: true });
-  
-  for (const item of items) {
-    const fullPath = path.join(dir, item.name);
-    if (item.isDirectory()) {
-      files.push(...getHtmlFiles(fullPath));
-    } else if (item.name.endsWith('.html')) {
-      files.push(fullPath);
-    }
-  }
-  
-  return files;
-}
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Extract links from HTML file
-function extractLinks(htmlPath, siteDir) {
-  const html = fs.readFileSync(htmlPath, 'utf8');
-  const $ = cheerio.load(html);
-  const links = new Set();
-  const relativePath = path.relative(siteDir, htmlPath);
-  
-  $('a[href]').each((_, el) => {
-    const href = $(el).attr('href');
-    if (href) {
-      links.add({ href, source: relativePath });
-    }
-  });
-  
-  return Array.from(links);
+// Get the value following a command line flag, or null if it is not given
+function getArgValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : null;
 }
 
-// Check if URL should be skipped
-function shouldSkip(url, config) {
-  // Check exclude patterns
-  for (const pattern of config.excludePatterns) {
-    if (new RegExp(pattern, 'i').test(url)) {
-      return true;
-    }
+// Get all values following a command line flag (up to the next flag)
+function getArgValues(name) {
+  const index = process.argv.indexOf(name);
+  if (index === -1) {
+    return [];
   }
   
-  // Check skip domains
-  try {
-    const parsedUrl = new URL(url);
-    for (const domain of config.skipDomains) {
-      if (parsedUrl.hostname.includes(domain)) {
-        return true;
-      }
+  const values = [];
+  for (const arg of process.argv.slice(index + 1)) {
+    if (arg.startsWith('--')) {
+      break;
     }
-  } catch {
-    // Not a valid URL, might be relative - don't skip
+    values.push(arg);
   }
-  
-  return false;
+  return values;
 }
 
-// Check if response body indicates soft 404
-function isSoftNotFound(body, config) {
-  if (!body) {
-    return false; // No body doesn't mean not found - could be empty response
-  }
-  
-  const $ = cheerio.load(body);
-  
-  const title = $('title').text().toLowerCase().trim();
-  const h1Text = $('h1').first().text().toLowerCase().trim();
-
-  // Strong indicators: title is PRIMARILY about 404/not found (not just contains "404")
-  // These patterns indicate the page IS an error page, not a page that mentions 404
-  const errorPageTitlePatterns = [
-    /^404\b/,                           // Title starts with "404"
-    /\b404\s*(error|page|-)\b/,         // "404 error", "404 page", "404 -"
-    /\berror\s*404\b/,                  // "error 404"
-    /^page not found/,                  // Title starts with "page not found"
-    /^not found/,                       // Title starts with "not found"
-    /page\s*(not|can'?t be)\s*found/,   // "page not found", "page can't be found"
-    /^oops/i,                           // Error pages often start with "Oops"
-  ];
-
-  for (const pattern of errorPageTitlePatterns) {
-    if (pattern.test(title)) {
-      return true;
+// Print a group of reported links with the pages and source lines they were found in
+function printLinks(links, seen) {
+  for (const link of links) {
+    const sources = seen.get(link.key) || [link.source];
+    console.log(`  🔗 ${link.href}`);
+    console.log(`     Element: <${link.element} ${link.attribute}>`);
+    console.log(`     Reason: ${link.reason}`);
+    if (link.archive) {
+      console.log(`     Archived copy: ${link.archive.url} (${link.archive.timestamp.slice(0, 10)})`);
+    } else if (link.archive === null) {
+      console.log('     Archived copy: none from before the link broke');
     }
-  }
-  
-  // Check h1 only if it looks like an error heading (short and matches pattern)
-  // Long h1s are likely real content, not error messages
-  if (h1Text.length < 50) {
-    for (const pattern of errorPageTitlePatterns) {
-      if (pattern.test(h1Text)) {
-        return true;
+    console.log(`     Found in: ${sources.join(', ') || 'no page'}`);
+    if (link.templateLevel) {
+      const configLocations = link.locations.map(formatLocation);
+      console.log(`     Source: template-level (navbar, footer or listing)${configLocations.length > 0 ? ` - ${configLocations.join(', ')}` : ''}`);
+    } else {
+      for (const location of link.locations || []) {
+        console.log(`     Source: ${formatLocation(location)}`);
       }
     }
+    console.log();
   }
-  
-  // Check for user-configured soft 404 patterns, but only in title and short h1
-  for (const pattern of config.softNotFoundPatterns) {
-    const lowerPattern = pattern.toLowerCase();
-    
-    // Only match if title is short (likely an error page title)
-    if (title.length < 80 && title.includes(lowerPattern)) {
-      return true;
-    }
-    
-    // Only match h1 if it's short (error messages are typically brief)
-    if (h1Text.length < 50 && h1Text.includes(lowerPattern)) {
-      return true;
-    }
-  }
-  
-  return false;
 }
 
-// Browser-like headers to avoid bot detection
-const BROWSER_HEADERS = {
-  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-  'Accept-Language': 'en-US,en;q=0.9',
-  'Accept-Encoding': 'gzip, deflate, br',
-  'Cache-Control': 'no-cache',
-  'Pragma': 'no-cache',
-  'Sec-Fetch-Dest': 'document',
-  'Sec-Fetch-Mode': 'navigate',
-  'Sec-Fetch-Site': 'none',
-  'Sec-Fetch-User': '?1',
-  'Upgrade-Insecure-Requests': '1'
-};
-
-// Check a single URL
-async function checkUrl(url, config, retries = 2) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), config.timeout);
-  
-  try {
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: BROWSER_HEADERS,
-      redirect: 'follow'
-    });
-    
-    clearTimeout(timeoutId);
-    
-    // Handle different error codes
-    if (response.status === 403 || response.status === 429) {
-      // 403/429 often means bot detection, not a broken link
-      // Try HEAD request as fallback - some servers allow HEAD but block GET
-      const headResult = await tryHeadRequest(url, config);
-      if (headResult.ok) {
-        return { ok: true, status: response.status, note: 'Passed via HEAD request' };
-      }
-      // If both fail, mark as warning (not error) - likely bot detection
-      return { ok: true, warning: true, status: response.status, reason: `HTTP ${response.status} (likely bot detection - verify manually)` };
-    }
-
-    if (response.status >= 400) {
-      return { ok: false, status: response.status, reason: `HTTP ${response.status}` };
+// Print where in the source documents each moved URL should be replaced
+function printFixSuggestions(links) {
+  console.log('🛠️  Suggested replacements:\n');
+  
+  for (const link of links) {
+    if (link.locations.length === 0) {
+      console.log(`  ${link.href}: not found in the source files (may come from the site template)\n`);
+      continue;
     }
     
-    // For successful responses, check for soft 404
-    const contentType = response.headers.get('content-type') || '';
-    if (contentType.includes('text/html')) {
-      const body = await response.text();
-      if (isSoftNotFound(body, config)) {
-        return { ok: false, status: response.status, reason: 'Soft 404 (page shows not found content)' };
+    for (const location of link.locations) {
+      console.log(`  ${formatLocation(location)}`);
+      // Bibliography entries only know their line, not the text to rewrite
+      if (location.text === undefined) {
+        console.log(`    → ${link.movedTo}`);
+        continue;
       }
+      console.log(`    - ${location.text.trim()}`);
+      console.log(`    + ${replaceLink(location.text, link.href, link.movedTo).trim()}`);
+      console.log();
     }
-    
-    return { ok: true, status: response.status };
-  } catch (error) {
-    clearTimeout(timeoutId);
-    
-    // Retry on transient errors
-    if (retries > 0 && (error.name === 'AbortError' || error.code === 'ECONNRESET')) {
-      await new Promise(r => setTimeout(r, 1000));
-      return checkUrl(url, config, retries - 1);
-    }
-    
-    if (error.name === 'AbortError') {
-      return { ok: false, status: 0, reason: 'Timeout' };
-    }
-    
-    return { ok: false, status: 0, reason: error.message };
   }
 }
 
-// Try a HEAD request as fallback (some servers block GET but allow HEAD)
-async function tryHeadRequest(url, config) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), config.timeout);
-
-  try {
-    const response = await fetch(url, {
-      method: 'HEAD',
-      signal: controller.signal,
-      headers: BROWSER_HEADERS,
-      redirect: 'follow'
-    });
+// Console report sections, in print order
+// Known failures from the baseline come first and are left out of the other sections;
+// errors without a more specific category are reported last, as broken links
+const REPORT_SECTIONS = [
+  {
+    match: link => Boolean(link.baselined),
+    title: count => `📌 ${count} known failure(s) from the baseline (not counted as errors):`
+  },
+  {
+    // Expired entries, entries without a reason, and links that work again
+    match: link => link.category === 'stale-baseline',
+    title: count => `🗓️  ${count} baseline entr(ies) to renew or remove:`
+  },
+  {
+    // Likely false positives due to bot detection
+    match: link => link.type === 'warning' && !link.category,
+    title: count => `⚠️  ${count} link(s) could not be verified (likely bot detection):`
+  },
+  {
+    // They work, but should point at the new URL
+    match: link => link.category === 'moved',
+    title: count => `↪️  ${count} link(s) have permanently moved:`
+  },
+  {
+    match: link => link.category === 'unused-entry',
+    title: count => `📚 ${count} unused bibliography entr(ies):`
+  },
+  {
+    match: link => link.category === 'orphan-page',
+    title: count => `🏝️  ${count} orphan page(s) not reachable from the home page or navbar:`
+  },
+  {
+    match: link => link.category === 'unreferenced-resource',
+    title: count => `📦 ${count} resource(s) no reachable page uses:`
+  },
+  {
+    // The page exists but the #fragment does not
+    match: link => link.category === 'fragment',
+    title: count => `🔖 Found ${count} link(s) to missing anchors:`
+  },
+  {
+    match: link => ['missing-citation', 'missing-bibliography'].includes(link.category),
+    title: count => `📝 Found ${count} citation problem(s):`
+  },
+  {
+    // `draft-mode: unlinked` only hides drafts that nothing links to
+    match: link => link.category === 'reachable-draft',
+    title: count => `📝 Found ${count} draft page(s) that published pages link to:`
+  },
+  {
+    match: link => link.type === 'error' && (!link.category || link.category === 'redirect-loop'),
+    title: count => `❌ Found ${count} broken link(s):`
+  }
+];
 
-    clearTimeout(timeoutId);
-    return { ok: response.status < 400, status: response.status };
-  } catch {
-    clearTimeout(timeoutId);
-    return { ok: false };
+// Get the report format and output path from the command line (exits on an unknown format)
+function getReportOptions(projectRoot) {
+  const format = getArgValue('--format');
+  if (format && !REPORT_FORMATS[format]) {
+    console.error(`❌ Unknown report format: ${format} (expected ${Object.keys(REPORT_FORMATS).join(', ')})`);
+    process.exit(1);
   }
+  const outputPath = format
+    ? path.resolve(getArgValue('--output') || path.join(projectRoot, `linkcheck-report${REPORT_FORMATS[format].extension}`))
+    : null;
+  return { format, outputPath };
 }
 
-// Check if a local file exists
-function checkLocalPath(href, htmlPath, siteDir) {
-  // Handle absolute paths (starting with /)
-  let targetPath;
-  if (href.startsWith('/')) {
-    targetPath = path.join(siteDir, href);
-  } else {
-    // Relative path
-    targetPath = path.join(path.dirname(htmlPath), href);
-  }
-  
-  // Remove query strings and fragments
-  targetPath = targetPath.split('?')[0].split('#')[0];
+// Print the results of checkSite (and write the machine-readable report, if requested)
+// Returns the exit code: 1 if there are errors, 0 if there are only warnings
+function reportResults({ results, seen, report }, { format, outputPath }) {
+  console.log('\n');
   
-  // Check if path exists (could be file or directory with index.html)
-  if (fs.existsSync(targetPath)) {
-    return { ok: true };
+  if (format) {
+    writeReport(format, outputPath, report);
+    console.log(`📝 Wrote ${REPORT_FORMATS[format].label} report to ${outputPath}\n`);
   }
   
-  // Try adding .html
-  if (fs.existsSync(targetPath + '.html')) {
-    return { ok: true };
+  if (results.length === 0) {
+    console.log('✅ No broken links found!\n');
+    return 0;
   }
   
-  // Try index.html in directory
-  if (fs.existsSync(path.join(targetPath, 'index.html'))) {
-    return { ok: true };
+  const reported = new Set();
+  for (const section of REPORT_SECTIONS) {
+    const links = results.filter(link => !reported.has(link) && section.match(link));
+    links.forEach(link => reported.add(link));
+    if (links.length === 0) {
+      continue;
+    }
+    
+    console.log(`\n${section.title(links.length)}\n`);
+    printLinks(links, seen);
+    
+    if (links[0].category === 'moved' && process.argv.includes('--fix')) {
+      printFixSuggestions(links);
+    }
   }
   
-  return { ok: false, reason: 'Local file not found' };
-}
-
-// Check links with concurrency control
-async function checkLinksWithConcurrency(links, config, siteDir) {
-  const results = [];
-  const urlCache = new Map();
-  const queue = [...links];
-  let activeChecks = 0;
-  let completed = 0;
-  const total = links.length;
-  
-  return new Promise((resolve) => {
-    const processNext = async () => {
-      if (queue.length === 0 && activeChecks === 0) {
-        resolve(results);
-        return;
-      }
-      
-      while (activeChecks < config.concurrency && queue.length > 0) {
-        const link = queue.shift();
-        activeChecks++;
-        
-        (async () => {
-          const { href, source, htmlPath } = link;
-          let result;
-          
-          // Check if it's an external URL
-          if (href.startsWith('http://') || href.startsWith('https://')) {
-            // Check cache first
-            if (urlCache.has(href)) {
-              result = urlCache.get(href);
-            } else {
-              result = await checkUrl(href, config);
-              urlCache.set(href, result);
-            }
-          } else {
-            // Local path
-            result = checkLocalPath(href, htmlPath, siteDir);
-          }
-          
-          if (!result.ok) {
-            results.push({ href, source, ...result, type: 'error' });
-          } else if (result.warning) {
-            results.push({ href, source, ...result, type: 'warning' });
-          }
-          
-          completed++;
-          process.stdout.write(`\rChecking links: ${completed}/${total}`);
-          
-          activeChecks--;
-          processNext();
-        })();
-      }
-    };
-    
-    processNext();
-  });
+  // Exit with error code only if there are actual errors the baseline doesn't cover
+  return results.some(link => link.type === 'error' && !link.baselined) ? 1 : 0;
 }
 
 // Main function
 async function main() {
-  const config = loadConfig();
   // Resolve siteDir relative to the project root (parent of utils/ where this script lives)
   const projectRoot = path.resolve(__dirname, '..');
-  const siteDir = path.resolve(projectRoot, config.siteDir);
-  
-  console.log(`\n🔍 Checking links in ${siteDir}...\n`);
+  const configArg = getArgValue('--config');
+  const config = loadConfig(configArg ? path.resolve(configArg) : undefined);
+  
+  // Machine-readable report, if requested
+  const { format, outputPath } = getReportOptions(projectRoot);
+  
+  // Archived copies of dead links, and a patch that uses them
+  const patchArg = getArgValue('--archive-patch');
+  const patchPath = process.argv.includes('--archive-patch')
+    ? path.resolve(patchArg && !patchArg.startsWith('--') ? patchArg : path.join(projectRoot, 'linkcheck-archive.patch'))
+    : null;
+  if (patchPath || process.argv.includes('--archive')) {
+    config.archiveLookup = true;
+  }
   
-  if (!fs.existsSync(siteDir)) {
-    console.error(`❌ Site directory not found: ${siteDir}`);
-    console.error('   Make sure to run "quarto render" first.');
+  const mode = CHECK_MODES.find(name => process.argv.includes(`--${name}`)) || 'links';
+  const graphPath = getArgValue('--graph');
+  const graphFormat = graphPath && path.extname(graphPath).slice(1);
+  if (graphPath && !GRAPH_FORMATS.includes(graphFormat)) {
+    console.error(`❌ Unknown graph format: ${graphPath} (expected a path ending in ${GRAPH_FORMATS.map(ext => `.${ext}`).join(' or ')})`);
     process.exit(1);
   }
   
-  // Get all HTML files
-  const htmlFiles = getHtmlFiles(siteDir);
-  
-  if (htmlFiles.length === 0) {
-    console.log('No HTML files found.');
-    process.exit(0);
+  let result;
+  try {
+    result = await checkSite({
+      mode,
+      config,
+      projectRoot,
+      files: getArgValues('--files'),
+      incremental: process.argv.includes('--incremental'),
+      refresh: process.argv.includes('--refresh'),
+      graph: graphPath ? { format: graphFormat, path: path.resolve(graphPath) } : null,
+      log: message => console.log(message),
+      warn: message => console.error(message),
+      onProgress: (completed, total) => process.stdout.write(`\rChecking links: ${completed}/${total}`)
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
   }
   
-  console.log(`Found ${htmlFiles.length} HTML files.`);
+  if (result.cacheHits > 0) {
+    console.log(`\n(${result.cacheHits} external URL(s) reused from cache; use --refresh to re-check)`);
+  }
   
-  // Extract all links
-  const allLinks = [];
-  for (const htmlFile of htmlFiles) {
-    const links = extractLinks(htmlFile, siteDir);
-    for (const link of links) {
-      if (!shouldSkip(link.href, config)) {
-        allLinks.push({ ...link, htmlPath: htmlFile });
-      }
+  if (process.argv.includes('--update-baseline')) {
+    if (!result.baseline.path) {
+      console.error('❌ No baselineFile in the config');
+      process.exit(1);
     }
+    const { added, removed } = updateBaseline(result.baseline, result.results, {
+      expiryDays: config.baselineExpiryDays,
+      includeWarnings: process.argv.includes('--include-warnings'),
+      seen: result.seen
+    });
+    result.results = result.results.filter(link => link.stale !== 'works');
+    result.report = buildReport(result);
+    console.log(`\n📌 Baseline updated: ${added} entr(ies) added, ${removed} removed (${path.relative(projectRoot, result.baseline.path)})`);
+    console.log('   Review the reasons and expiry dates before committing it.');
   }
   
-  // Deduplicate by URL (but keep track of all sources)
-  const uniqueLinks = [];
-  const seen = new Map();
-  
-  for (const link of allLinks) {
-    if (!seen.has(link.href)) {
-      seen.set(link.href, [link.source]);
-      uniqueLinks.push(link);
+  if (patchPath) {
+    const patch = buildArchivePatch(result.results.filter(link => !link.baselined), projectRoot);
+    if (patch) {
+      fs.writeFileSync(patchPath, patch);
+      console.log(`\n🗄️  Wrote a patch replacing dead links with archived copies to ${patchPath}`);
+      console.log(`   Review it, then apply it with: git apply ${path.relative(process.cwd(), patchPath)}`);
     } else {
-      seen.get(link.href).push(link.source);
+      console.log('\n🗄️  No archived copies to patch into the sources.');
     }
   }
   
-  console.log(`Found ${uniqueLinks.length} unique links to check.\n`);
-  
-  // Check all links
-  const brokenLinks = await checkLinksWithConcurrency(uniqueLinks, config, siteDir);
-  
-  // Separate errors from warnings
-  const errors = brokenLinks.filter(link => link.type === 'error');
-  const warnings = brokenLinks.filter(link => link.type === 'warning');
-
-  console.log('\n');
-  
-  if (errors.length === 0 && warnings.length === 0) {
-    console.log('✅ No broken links found!\n');
-    process.exit(0);
-  }
-  
-  // Report warnings (likely false positives due to bot detection)
-  if (warnings.length > 0) {
-    console.log(`\n⚠️  ${warnings.length} link(s) could not be verified (likely bot detection):\n`);
-
-    for (const link of warnings) {
-      const sources = seen.get(link.href) || [link.source];
-      console.log(`  🔗 ${link.href}`);
-      console.log(`     Reason: ${link.reason}`);
-      console.log(`     Found in: ${sources.join(', ')}`);
-      console.log();
-    }
-  }
-
-  // Report errors (actual broken links)
-  if (errors.length > 0) {
-    console.log(`\n❌ Found ${errors.length} broken link(s):\n`);
-
-    for (const link of errors) {
-      const sources = seen.get(link.href) || [link.source];
-      console.log(`  🔗 ${link.href}`);
-      console.log(`     Reason: ${link.reason}`);
-      console.log(`     Found in: ${sources.join(', ')}`);
-      console.log();
-    }
-
-    // Exit with error code only if there are actual errors
-    process.exit(1);
-  }
-
-  // If only warnings, exit successfully
-  process.exit(0);
+  process.exit(reportResults(result, { format, outputPath }));
 }
 
-main();
+// Only run as a command; importing this file just gives the API
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -5,13 +5,28 @@
 # It's designed to be run before `quarto publish` to catch dead links early.
 #
 # Usage: 
-#   ./utils/check_links.sh             # Run standalone (no prompt on errors)
-#   ./utils/check_links.sh --pipeline  # Run as part of build pipeline (prompts on errors)
+#   ./utils/check_links.sh             # Run standalone (exits non-zero on errors)
+#   ./utils/check_links.sh --pipeline  # Run as part of build pipeline (never fails the build)
 #   ./utils/check_links.sh --skip      # Skip the check and proceed
+#
+# Any other arguments (e.g. --format junit --output _linkcheck.xml) are passed
+# on to check-links.js.
+#
+# On partial renders (QUARTO_PROJECT_RENDER_ALL not set), only the pages Quarto
+# just rebuilt (QUARTO_PROJECT_OUTPUT_FILES) are checked, in incremental mode.
 
+RENDERED_FILES=()
 if [[ -z "$QUARTO_PROJECT_RENDER_ALL" ]]; then
-    echo "Skipping link check; QUARTO_PROJECT_RENDER_ALL is not set."
-    exit 0
+    while IFS= read -r file; do
+        if [[ "$file" == *.html ]]; then
+            RENDERED_FILES+=("$file")
+        fi
+    done <<< "$QUARTO_PROJECT_OUTPUT_FILES"
+
+    if [[ ${#RENDERED_FILES[@]} -eq 0 ]]; then
+        echo "Skipping link check; QUARTO_PROJECT_RENDER_ALL is not set and no pages were rendered."
+        exit 0
+    fi
 fi
 
 set -e
@@ -20,6 +35,7 @@ SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 # Get the project root directory (parent of utils/)
 PROJECT_ROOT="$(cd "$SCRIPT_DIR/.." && pwd)"
 PIPELINE_MODE=false
+CHECKER_ARGS=()
 
 # Parse flags
 for arg in "$@"; do
@@ -31,6 +47,9 @@ for arg in "$@"; do
         --pipeline)
             PIPELINE_MODE=true
             ;;
+        *)
+            CHECKER_ARGS+=("$arg")
+            ;;
     esac
 done
 
@@ -57,13 +76,24 @@ fi
 echo "🔗 Running dead link checker..."
 echo ""
 
+# Only check the rebuilt pages on partial renders (--files must come last)
+if [[ ${#RENDERED_FILES[@]} -gt 0 ]]; then
+    CHECKER_ARGS+=(--incremental --files "${RENDERED_FILES[@]}")
+fi
+
 # Run the link checker
-if node "${SCRIPT_DIR}/check-links.js"; then
+STATUS=0
+node "${SCRIPT_DIR}/check-links.js" "${CHECKER_ARGS[@]}" || STATUS=$?
+
+if [[ ${STATUS} -eq 0 ]]; then
     echo "✅ All links are valid!"
     exit 0
-else
-    echo ""
-    echo "⚠️  Broken links detected!"
+fi
+
+echo ""
+echo "⚠️  Broken links detected!"
+if [[ "${PIPELINE_MODE}" == true ]]; then
     echo "Continuing without failing the pipeline."
     exit 0
 fi
+exit ${STATUS}
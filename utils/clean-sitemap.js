@@ -0,0 +1,179 @@
+/**
+ * Sitemap cleanup and validation
+ *
+ * Rewrites the URLs in the sitemap Quarto generates to their canonical (clean)
+ * form: `posts/foo/index.html` becomes `posts/foo/` and `about.html` becomes
+ * `about`. Every entry is then checked against the rendered site, reporting
+ * entries with no page behind them and published pages the sitemap leaves out.
+ * Each entry's <lastmod> is taken from the `date-modified` or `date` in its
+ * source document's front matter, when there is one.
+ *
+ * Exits non-zero if the sitemap has problems.
+ *
+ * Usage: node clean-sitemap.js [--site _site] [--sitemap sitemap.xml]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { readRenderGlobs, findSourceFile, readSiteUrl, findSiteFile } from './linkcheck/sources.js';
+import { getFrontMatter, readYamlValues } from './lib/front-matter.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..');
+
+// Rendered pages that are not meant to be in the sitemap
+const IGNORED_PAGES = [/^site_libs\//, /^404\.html$/];
+
+// Get the value following a command line flag, or the default
+function getArgValue(name, defaultValue) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+}
+
+// Canonical form of a page URL: no index.html, no .html
+function canonicalizeUrl(url) {
+  return url
+    .replace(/\/index\.html(?=$|[?#])/, '/')
+    .replace(/\.html(?=$|[?#])/, '');
+}
+
+// Get all rendered pages in a directory (recursively), relative to the site directory
+function getPageFiles(dir, siteDir) {
+  const files = [];
+
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, item.name);
+    if (item.isDirectory()) {
+      files.push(...getPageFiles(fullPath, siteDir));
+    } else if (item.name.endsWith('.html')) {
+      files.push(path.relative(siteDir, fullPath).split(path.sep).join('/'));
+    }
+  }
+
+  return files;
+}
+
+// Front matter of the source document of a rendered page ('' if it has none)
+function readSourceFrontMatter(page, root, globs) {
+  const sourceFile = findSourceFile(page, root, globs);
+  return sourceFile ? getFrontMatter(fs.readFileSync(sourceFile, 'utf8')) : '';
+}
+
+// Whether a rendered page belongs in the sitemap: not a draft, redirect or noindex page,
+// nor an HTML fragment copied as a resource (e.g. posts/subscribe.html)
+function isPublished(page, siteDir, root, globs) {
+  if (IGNORED_PAGES.some(pattern => pattern.test(page))) {
+    return false;
+  }
+
+  const html = fs.readFileSync(path.join(siteDir, page), 'utf8');
+  if (!/<html[\s>]/i.test(html)) {
+    return false;
+  }
+  const $ = cheerio.load(html);
+  if ($('meta[name="quarto:status"]').attr('content') === 'draft' ||
+      $('meta[http-equiv="refresh"]').length > 0 ||
+      /noindex/i.test($('meta[name="robots"]').attr('content') || '')) {
+    return false;
+  }
+  return !readYamlValues(readSourceFrontMatter(page, root, globs), 'draft').includes('true');
+}
+
+// The <lastmod> of a page from its front matter (YYYY-MM-DD), or null
+// Quarto keywords like `today` or `last-modified` keep the date Quarto wrote
+function getLastModified(page, root, globs) {
+  const frontMatter = readSourceFrontMatter(page, root, globs);
+  const [date] = [...readYamlValues(frontMatter, 'date-modified'), ...readYamlValues(frontMatter, 'date')];
+  if (!date) {
+    return null;
+  }
+  if (/^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.slice(0, 10);
+  }
+  const parsed = new Date(date);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+}
+
+// Clean and validate a sitemap; returns the new XML and the problems found
+// `root` is the project the source documents are read from
+export function cleanSitemap(xml, { siteDir, siteUrl, root = projectRoot, globs = readRenderGlobs(root) }) {
+  const problems = [];
+  const listedPages = new Set();
+  const seenUrls = new Set();
+
+  const cleaned = xml.replace(/([ \t]*)<url>([\s\S]*?)<\/url>\s*?\n?/g, (block, indent, body) => {
+    const locMatch = body.match(/<loc>\s*([\s\S]*?)\s*<\/loc>/);
+    if (!locMatch) {
+      problems.push({ type: 'no-loc', url: null, message: 'Sitemap entry without a <loc>' });
+      return block;
+    }
+
+    const url = canonicalizeUrl(locMatch[1]);
+    if (seenUrls.has(url)) {
+      problems.push({ type: 'duplicate', url, message: 'Listed more than once; extra entries removed' });
+      return '';
+    }
+    seenUrls.add(url);
+
+    const page = findSiteFile(url, siteUrl, siteDir);
+    let newBody = body.replace(locMatch[0], `<loc>${url}</loc>`);
+    if (!page) {
+      problems.push({ type: 'no-page', url, message: 'Sitemap entry with no page in the site' });
+      return block.replace(body, newBody);
+    }
+    listedPages.add(page);
+
+    const lastModified = getLastModified(page, root, globs);
+    if (lastModified) {
+      newBody = /<lastmod>[\s\S]*?<\/lastmod>/.test(newBody)
+        ? newBody.replace(/<lastmod>[\s\S]*?<\/lastmod>/, `<lastmod>${lastModified}</lastmod>`)
+        : newBody.replace(/(<loc>[\s\S]*?<\/loc>)/, `$1\n${indent}  <lastmod>${lastModified}</lastmod>`);
+    }
+    return block.replace(body, newBody);
+  });
+
+  for (const page of getPageFiles(siteDir, siteDir)) {
+    if (!listedPages.has(page) && isPublished(page, siteDir, root, globs)) {
+      const url = siteUrl ? canonicalizeUrl(siteUrl + page) : page;
+      problems.push({ type: 'missing', url, message: `Page missing from the sitemap (${page})` });
+    }
+  }
+
+  return { xml: cleaned, problems };
+}
+
+function main() {
+  const siteDir = path.resolve(projectRoot, getArgValue('--site', '_site'));
+  const sitemapPath = path.resolve(siteDir, getArgValue('--sitemap', 'sitemap.xml'));
+  const siteUrl = readSiteUrl(projectRoot);
+
+  if (!fs.existsSync(sitemapPath)) {
+    console.error(`❌ Sitemap not found at ${sitemapPath}`);
+    process.exit(1);
+  }
+  if (!siteUrl) {
+    console.warn('⚠️  No site-url in _quarto.yml; sitemap entries cannot be matched to pages.');
+  }
+
+  const { xml, problems } = cleanSitemap(fs.readFileSync(sitemapPath, 'utf8'), { siteDir, siteUrl });
+  fs.writeFileSync(sitemapPath, xml);
+  console.log(`🗺️  Cleaned sitemap URLs: ${path.relative(projectRoot, sitemapPath)}`);
+
+  if (problems.length === 0) {
+    console.log('✅ Every sitemap entry has a page and every published page is listed.');
+    return;
+  }
+
+  console.log(`\n⚠️  ${problems.length} sitemap problem(s):`);
+  for (const { url, message } of problems) {
+    console.log(`  ${url || '(no URL)'}\n    → ${message}`);
+  }
+  process.exit(1);
+}
+
+// Only run as a command; importing this file just gives cleanSitemap (for the tests)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
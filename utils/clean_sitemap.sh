@@ -1,5 +1,10 @@
 #!/bin/bash
-# Clean up sitemap URLs to use canonical (clean) URLs instead of index.html
+# clean_sitemap.sh - Clean up sitemap URLs and check the sitemap against the site
+#
+# Rewrites the sitemap to canonical (clean) URLs instead of index.html, fills in
+# <lastmod> from front-matter dates and reports entries with no page and pages
+# missing from the sitemap (see clean-sitemap.js). Problems are reported but
+# never fail the build.
 if [[ -z "$QUARTO_PROJECT_RENDER_ALL" ]]; then
     echo "Skipping sitemap cleanup; QUARTO_PROJECT_RENDER_ALL is not set."
     exit 0
@@ -12,17 +17,18 @@ PROJECT_ROOT="$(cd "$SCRIPT_DIR/.." && pwd)"
 
 SITEMAP="$PROJECT_ROOT/_site/sitemap.xml"
 
-if [ -f "$SITEMAP" ]; then
-    echo "Cleaning sitemap URLs..."
-    
-    # Replace /index.html with / for directory index pages
-    # Replace .html with nothing for top-level pages (but keep the URL valid)
-    sed -i '' \
-        -e 's|/index\.html</loc>|/</loc>|g' \
-        -e 's|\.html</loc>|</loc>|g' \
-        "$SITEMAP"
-    
-    echo "Sitemap cleaned successfully"
-else
+if [ ! -f "$SITEMAP" ]; then
     echo "Sitemap not found at $SITEMAP"
+    exit 0
+fi
+
+# Check if node_modules exists, if not run npm install
+if [[ ! -d "$SCRIPT_DIR/node_modules" ]]; then
+    echo "Installing npm dependencies..."
+    npm install --prefix "$SCRIPT_DIR"
+fi
+
+echo "Cleaning sitemap URLs..."
+if ! node "$SCRIPT_DIR/clean-sitemap.js"; then
+    echo "Continuing without failing the pipeline."
 fi
@@ -0,0 +1,46 @@
+/**
+ * Front matter and YAML metadata
+ *
+ * Minimal readers for the metadata the site's documents and config files use:
+ * the front matter block of a markdown document and the values of a key in it.
+ * Shared by the link checker, the search index and the sitemap cleaner.
+ */
+
+// Front matter of a markdown document, or '' if it has none
+export function getFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\s*(\r?\n|$)/);
+  return match ? match[1] : '';
+}
+
+// Read the values of a key from YAML text: `key: value`, `key: [a, b]` or a `- item` list
+// (a minimal reader for the simple metadata used here, not a YAML parser)
+export function readYamlValues(yaml, key) {
+  const values = [];
+  const lines = yaml.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(new RegExp(`^(\\s*)${key}:\\s*(.*?)\\s*$`));
+    if (!match) {
+      continue;
+    }
+
+    const [, indent, value] = match;
+    if (value.startsWith('[')) {
+      values.push(...value.slice(1, -1).split(','));
+    } else if (value) {
+      values.push(value);
+    } else {
+      for (let j = i + 1; j < lines.length; j++) {
+        const item = lines[j].match(/^(\s*)-\s*(.+?)\s*$/);
+        if (!item || item[1].length < indent.length) {
+          break;
+        }
+        values.push(item[2]);
+      }
+    }
+  }
+
+  return values
+    .map(value => value.trim().replace(/^["']|["']$/g, ''))
+    .filter(Boolean);
+}
@@ -0,0 +1,141 @@
+/**
+ * Web-archive fallback for dead external links
+ *
+ * For a link that fails, asks a Wayback-style availability API for the snapshot
+ * closest to when the link last worked, and suggests it as a replacement if it
+ * was taken before the link broke. The endpoint comes from `archiveEndpoint`
+ * (`{url}` and `{timestamp}` are filled in), so a local stub can stand in for
+ * archive.org. The suggestions can also be written as a patch that rewrites the
+ * links in the source documents.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { replaceLink } from './sources.js';
+
+// Lines of context around each change in the patch
+const CONTEXT_LINES = 3;
+
+// Wayback timestamps are UTC digits, e.g. 20240131120000
+function toWaybackTimestamp(time) {
+  return new Date(time).toISOString().replace(/\D/g, '').slice(0, 14);
+}
+
+function fromWaybackTimestamp(timestamp) {
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] =
+    timestamp.match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/) || [];
+  return year ? Date.parse(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`) : NaN;
+}
+
+// The availability query for a URL: the snapshot closest to when it last worked
+// (or to when it was first seen failing, if it never worked in an earlier run)
+export function getArchiveQueryUrl(url, { lastOkAt, failingSince }, config) {
+  return config.archiveEndpoint
+    .replace('{url}', encodeURIComponent(url))
+    .replace('{timestamp}', toWaybackTimestamp(lastOkAt ?? failingSince));
+}
+
+// Read the closest snapshot from an availability API answer
+// `{ archived_snapshots: { closest: { available, url, timestamp, status } } }`
+// Returns { url, timestamp } (an ISO date) for a working snapshot taken before
+// `failingSince`, or null
+export function interpretArchiveResponse(body, { failingSince }) {
+  let closest;
+  try {
+    closest = JSON.parse(body)?.archived_snapshots?.closest;
+  } catch {
+    return null;
+  }
+  if (!closest?.available || !closest.url || !/^2/.test(String(closest.status ?? '200'))) {
+    return null;
+  }
+
+  const taken = fromWaybackTimestamp(String(closest.timestamp));
+  if (Number.isNaN(taken) || taken > failingSince) {
+    return null;
+  }
+  return { url: closest.url.replace(/^http:\/\/web\.archive\.org\//, 'https://web.archive.org/'), timestamp: new Date(taken).toISOString() };
+}
+
+// Group the changed lines of a file into hunks whose context overlaps
+function groupChanges(changedLines) {
+  const groups = [];
+  for (const index of changedLines) {
+    const last = groups[groups.length - 1];
+    if (last && index - last[last.length - 1] <= CONTEXT_LINES * 2) {
+      last.push(index);
+    } else {
+      groups.push([index]);
+    }
+  }
+  return groups;
+}
+
+// A unified diff of one file, given its content and line replacements (index -> new line)
+// Returns null if no line changes
+function formatFileDiff(relativePath, content, replacements) {
+  const hasFinalNewline = content.endsWith('\n');
+  const lines = content.split('\n');
+  if (hasFinalNewline) {
+    lines.pop();
+  }
+  for (const [index, line] of replacements) {
+    if (line === lines[index]) {
+      replacements.delete(index);
+    }
+  }
+  if (replacements.size === 0) {
+    return null;
+  }
+  const noNewline = index => index === lines.length - 1 && !hasFinalNewline ? ['\\ No newline at end of file'] : [];
+
+  const output = [`--- a/${relativePath}`, `+++ b/${relativePath}`];
+  for (const group of groupChanges([...replacements.keys()].sort((a, b) => a - b))) {
+    const start = Math.max(0, group[0] - CONTEXT_LINES);
+    const end = Math.min(lines.length, group[group.length - 1] + CONTEXT_LINES + 1);
+    output.push(`@@ -${start + 1},${end - start} +${start + 1},${end - start} @@`);
+    for (let index = start; index < end; index++) {
+      if (replacements.has(index)) {
+        output.push(`-${lines[index]}`, ...noNewline(index), `+${replacements.get(index)}`, ...noNewline(index));
+      } else {
+        output.push(` ${lines[index]}`, ...noNewline(index));
+      }
+    }
+  }
+  return output.join('\n');
+}
+
+// A patch (for `git apply`) that replaces dead links with their archived copies
+// in the source documents. Links that only come from the site template, and
+// locations without the source line (bibliography entries), are left out.
+// Returns the patch text ('' if there is nothing to replace)
+export function buildArchivePatch(results, projectRoot) {
+  const files = new Map();
+
+  for (const link of results) {
+    if (!link.archive || link.templateLevel) {
+      continue;
+    }
+    for (const location of link.locations || []) {
+      if (location.text === undefined) {
+        continue;
+      }
+      if (!files.has(location.file)) {
+        files.set(location.file, new Map());
+      }
+      const replacements = files.get(location.file);
+      const index = location.line - 1;
+      replacements.set(index, replaceLink(replacements.get(index) ?? location.text, link.href, link.archive.url));
+    }
+  }
+
+  const diffs = [];
+  for (const [file, replacements] of [...files].sort(([a], [b]) => a.localeCompare(b))) {
+    const content = fs.readFileSync(path.join(projectRoot, file), 'utf8');
+    const diff = formatFileDiff(file.split(path.sep).join('/'), content, replacements);
+    if (diff) {
+      diffs.push(diff);
+    }
+  }
+  return diffs.length > 0 ? diffs.join('\n') + '\n' : '';
+}
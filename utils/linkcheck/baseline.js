@@ -0,0 +1,169 @@
+/**
+ * Baseline of known-bad links
+ *
+ * Some links always fail or warn (paywalled journal pages, sites that block
+ * bots) but are still worth linking to. The baseline file lists them, each
+ * with a reason, an expiry date and optionally the page it applies to:
+ *
+ *   { "version": 1, "entries": [
+ *     { "url": "https://example.org/paper", "reason": "Paywalled, blocks bots",
+ *       "expires": "2026-06-30", "source": "publications.html" } ] }
+ *
+ * Failures that match an entry are reported apart from new ones and don't fail
+ * the check. Entries that have expired, lack a reason or expiry, or whose URL
+ * now works are reported so they can be renewed or removed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const BASELINE_VERSION = 1;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Today's date as YYYY-MM-DD (expiry dates are compared as strings)
+function today(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+// Load the baseline file; a missing file is an empty baseline
+export function loadBaseline(baselinePath) {
+  const baseline = { path: baselinePath, entries: [] };
+
+  if (!baselinePath || !fs.existsSync(baselinePath)) {
+    return baseline;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    if (data.version === BASELINE_VERSION && Array.isArray(data.entries)) {
+      baseline.entries = data.entries;
+    }
+  } catch (e) {
+    console.error(`Warning: Could not read the link baseline, ignoring it: ${e.message}`);
+  }
+
+  return baseline;
+}
+
+// Whether an entry covers a page a link was found on (page or source document)
+function coversSource(entry, source, locations) {
+  return !entry.source || entry.source === source ||
+    locations.some(location => location.file === entry.source);
+}
+
+// Line of an entry's URL in the baseline file, so stale entries can be found
+function findEntryLine(baseline, entry) {
+  const lines = fs.existsSync(baseline.path) ? fs.readFileSync(baseline.path, 'utf8').split('\n') : [];
+  const index = lines.findIndex(line => line.includes(JSON.stringify(entry.url)));
+  return index + 1 || 1;
+}
+
+// Why an entry should be renewed or fixed ({ stale, reason }), or null if it is fine
+function getEntryProblem(entry, now) {
+  if (!entry.reason || !entry.expires) {
+    return { stale: 'invalid', reason: 'Entry needs a reason and an expiry date' };
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.expires)) {
+    return { stale: 'invalid', reason: `Expiry date "${entry.expires}" is not YYYY-MM-DD` };
+  }
+  if (entry.expires < today(now)) {
+    return { stale: 'expired', reason: `Expired on ${entry.expires}; renew it or fix the link (${entry.reason})` };
+  }
+  return null;
+}
+
+// Mark the results the baseline covers, and report entries to renew or remove
+// A result is baselined when entries with its URL cover every page it was found on.
+// `checked` tells which URLs were checked this run: entries for URLs that were
+// checked and did not fail now work. Returns the results plus the stale entries,
+// as warnings in the 'stale-baseline' category (`stale` says why: 'invalid',
+// 'expired' or 'works').
+export function applyBaseline(baseline, { results, seen, checked }, { projectRoot, now = Date.now() }) {
+  const relativePath = path.relative(projectRoot, baseline.path || '');
+  const failing = new Set(results.map(result => result.href));
+  const stale = [];
+
+  for (const result of results) {
+    const entries = baseline.entries.filter(entry => entry.url === result.href);
+    const sources = seen.get(result.key) || [result.source];
+    const covered = sources.every(source =>
+      entries.some(entry => coversSource(entry, source, result.locations || [])));
+    if (entries.length === 0 || !covered) {
+      continue;
+    }
+
+    // Expired entries no longer hide the failure
+    const current = entries.filter(entry => !getEntryProblem(entry, now));
+    if (current.length > 0) {
+      result.baselined = { reason: current[0].reason, expires: current[0].expires };
+    }
+  }
+
+  const checkedUrls = new Set(checked.map(link => link.href));
+  for (const entry of baseline.entries) {
+    let problem = getEntryProblem(entry, now);
+    if (!problem && checkedUrls.has(entry.url) && !failing.has(entry.url)) {
+      problem = { stale: 'works', reason: 'Link works now; remove it from the baseline' };
+    }
+    if (problem) {
+      stale.push({
+        href: entry.url,
+        key: `stale-baseline:${entry.url}:${entry.source || ''}`,
+        source: relativePath,
+        element: 'baseline',
+        attribute: 'entry',
+        type: 'warning',
+        category: 'stale-baseline',
+        ...problem,
+        locations: [{ file: relativePath, line: findEntryLine(baseline, entry) }]
+      });
+    }
+  }
+
+  return { results: [...results, ...stale], stale };
+}
+
+// Accept the current failures into the baseline: new errors (and warnings, with
+// `includeWarnings`) get an entry (with the checker's reason and `expiryDays` to live),
+// entries whose URL now works are dropped. Expired entries are kept, so they are
+// still flagged until someone renews them. The accepted results are marked as
+// baselined. `seen` maps each result key to the pages it was found on (as checkSite
+// returns it), so a relative link is accepted on every page. Returns the numbers of
+// entries added and removed.
+export function updateBaseline(baseline, results, { expiryDays, includeWarnings = false, seen = new Map(), now = Date.now() }) {
+  const worksNow = new Set(results
+    .filter(result => result.stale === 'works')
+    .map(result => result.href));
+  const kept = baseline.entries.filter(entry => !worksNow.has(entry.url));
+  const added = [];
+
+  for (const result of results) {
+    // Failures under an expired entry stay reported until the entry is renewed by hand
+    if (result.baselined || result.category === 'stale-baseline' ||
+        (result.type !== 'error' && !includeWarnings) ||
+        kept.some(entry => entry.url === result.href && getEntryProblem(entry, now))) {
+      continue;
+    }
+    // Relative links mean something else on another page, so they are accepted per page
+    const sources = /^https?:\/\//.test(result.href)
+      ? [undefined]
+      : [...new Set(seen.get(result.key) || [result.source])];
+    const expires = today(now + expiryDays * DAY);
+    for (const source of sources) {
+      const covered = [...kept, ...added].some(entry => entry.url === result.href &&
+        (source === undefined ? !entry.source : coversSource(entry, source, result.locations || [])) &&
+        !getEntryProblem(entry, now));
+      if (!covered) {
+        added.push({ url: result.href, reason: result.reason, expires, source });
+      }
+    }
+    result.baselined = { reason: result.reason, expires };
+  }
+
+  const removed = baseline.entries.length - kept.length;
+  baseline.entries = [...kept, ...added];
+  fs.mkdirSync(path.dirname(baseline.path), { recursive: true });
+  fs.writeFileSync(baseline.path, JSON.stringify({ version: BASELINE_VERSION, entries: baseline.entries }, null, 2) + '\n');
+
+  return { added: added.length, removed };
+}
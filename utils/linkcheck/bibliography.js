@@ -0,0 +1,245 @@
+/**
+ * Bibliography validation
+ *
+ * Finds the .bib (and .csl) files named in page front matter, `_metadata.yml`
+ * and `_quarto.yml`, parses their entries and cross-checks them with the
+ * citations in the source documents: citation keys with no matching entry,
+ * entries nobody cites, and bibliography/style files that don't exist. The
+ * `doi` and `url` fields of every entry are turned into links for the network
+ * checker.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readRenderGlobs, findSourceDocuments, findConfigFiles } from './sources.js';
+import { getFrontMatter, readYamlValues } from '../lib/front-matter.js';
+
+// Quarto cross-reference prefixes (@fig-plot, @sec-intro, ...) are not citations
+const CROSSREF_PATTERN = /^(fig|tbl|sec|eq|lst|thm|lem|cor|prp|cnj|def|exm|exr|sol|rem|alg)-/;
+
+// Pandoc citation keys: start with a letter, digit or _, internal punctuation allowed
+const CITATION_PATTERN = /(?<![\w@/.\\])-?@([\w]+(?:[:.#$%&\-+?<>~/][\w]+)*)/g;
+
+// Blank out front matter, code and comments (keeping offsets) so only prose is searched
+function maskNonProse(text) {
+  const blank = match => match.replace(/[^\n]/g, ' ');
+  return text
+    .replace(/^---\r?\n[\s\S]*?\r?\n---\s*(?=\r?\n|$)/, blank)
+    .replace(/^(```|~~~)[\s\S]*?^\1/gm, blank)
+    .replace(/`[^`\n]*`/g, blank)
+    .replace(/<!--[\s\S]*?-->/g, blank);
+}
+
+// Find the citation keys used in a document, with their line numbers
+export function findCitations(text) {
+  const prose = maskNonProse(text);
+  const citations = [];
+
+  for (const match of prose.matchAll(CITATION_PATTERN)) {
+    const key = match[1];
+    if (!CROSSREF_PATTERN.test(key)) {
+      const line = prose.slice(0, match.index).split('\n').length;
+      citations.push({ key, line });
+    }
+  }
+
+  return citations;
+}
+
+// Read a braced or quoted BibTeX value starting at `start`; returns [value, end]
+function readBibValue(text, start) {
+  const open = text[start];
+
+  if (open === '{') {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+      if (text[i] === '{') {
+        depth++;
+      } else if (text[i] === '}' && --depth === 0) {
+        return [text.slice(start + 1, i), i + 1];
+      }
+    }
+  } else if (open === '"') {
+    const end = text.indexOf('"', start + 1);
+    if (end !== -1) {
+      return [text.slice(start + 1, end), end + 1];
+    }
+  }
+
+  // Bare numbers or @string macros
+  const match = text.slice(start).match(/^[^,}\s]+/);
+  return [match ? match[0] : '', start + (match ? match[0].length : 0)];
+}
+
+// Parse the entries of a BibTeX file: [{ key, type, line, fields }]
+export function parseBibtex(text) {
+  const entries = [];
+  const entryPattern = /@(\w+)\s*\{\s*([^,\s]+)\s*,/g;
+  let match;
+
+  while ((match = entryPattern.exec(text)) !== null) {
+    const type = match[1].toLowerCase();
+    if (['comment', 'string', 'preamble'].includes(type)) {
+      continue;
+    }
+
+    const fields = {};
+    let i = entryPattern.lastIndex;
+    while (i < text.length) {
+      const field = text.slice(i).match(/^\s*(\w[\w-]*)\s*=\s*/);
+      if (!field) {
+        break;
+      }
+      const [value, end] = readBibValue(text, i + field[0].length);
+      fields[field[1].toLowerCase()] = value.trim();
+      i = end;
+      const separator = text.slice(i).match(/^\s*,?/);
+      i += separator[0].length;
+    }
+
+    entries.push({
+      key: match[2],
+      type,
+      line: text.slice(0, match.index).split('\n').length,
+      fields
+    });
+    entryPattern.lastIndex = i;
+  }
+
+  return entries;
+}
+
+// Turn an entry's doi field into a URL (it may already be one)
+function doiToUrl(doi) {
+  return /^https?:\/\//.test(doi) ? doi : `https://doi.org/${doi.replace(/^doi:\s*/i, '')}`;
+}
+
+// Bibliography and CSL files that apply to a document: its own front matter,
+// then inherited _metadata.yml and _quarto.yml (paths relative to each file)
+function getDocumentMetadata(document, projectRoot) {
+  const sources = [
+    { dir: path.dirname(document), yaml: getFrontMatter(fs.readFileSync(document, 'utf8')) },
+    ...findConfigFiles(path.dirname(document), projectRoot)
+      .map(file => ({ dir: path.dirname(file), yaml: fs.readFileSync(file, 'utf8') }))
+  ];
+  const resolve = (dir, value) => path.resolve(dir, value);
+
+  // The nearest definition wins, as with Quarto metadata merging
+  const bibliography = sources.find(source => readYamlValues(source.yaml, '(?:section-bibs-)?bibliography').length > 0);
+  const csl = sources.find(source => readYamlValues(source.yaml, 'csl').length > 0);
+
+  return {
+    bibliographies: bibliography
+      ? readYamlValues(bibliography.yaml, '(?:section-bibs-)?bibliography').map(value => resolve(bibliography.dir, value))
+      : [],
+    csl: csl
+      ? readYamlValues(csl.yaml, 'csl').filter(value => !/^https?:/.test(value)).map(value => resolve(csl.dir, value))
+      : [],
+    nocite: readYamlValues(sources[0].yaml, 'nocite').join(' ')
+  };
+}
+
+// Analyse the bibliographies of a project
+// `extraFiles` are .bib files to validate even if no document names them
+// Returns the entry links to check plus citation problems, as checker results
+export function analyzeBibliographies(projectRoot, extraFiles = []) {
+  const relative = file => path.relative(projectRoot, file);
+  const bibFiles = new Map();
+  const problems = [];
+
+  const getBibFile = file => {
+    if (!bibFiles.has(file)) {
+      const entries = fs.existsSync(file) ? parseBibtex(fs.readFileSync(file, 'utf8')) : null;
+      bibFiles.set(file, { entries, usedKeys: new Set(), usedBy: new Set(), citesAll: false });
+    }
+    return bibFiles.get(file);
+  };
+
+  for (const file of extraFiles) {
+    getBibFile(path.resolve(projectRoot, file));
+  }
+
+  for (const document of findSourceDocuments(projectRoot, readRenderGlobs(projectRoot))) {
+    const metadata = getDocumentMetadata(document, projectRoot);
+
+    for (const file of metadata.csl.filter(file => !fs.existsSync(file))) {
+      problems.push({
+        href: relative(file), source: relative(document), element: 'csl', attribute: 'file',
+        type: 'error', category: 'missing-bibliography', reason: 'Citation style file not found',
+        locations: [{ file: relative(document), line: 1 }]
+      });
+    }
+
+    // Without a bibliography Pandoc leaves @text alone, so there is nothing to cross-check
+    if (metadata.bibliographies.length === 0) {
+      continue;
+    }
+
+    const bibs = metadata.bibliographies.map(file => [file, getBibFile(file)]);
+    const knownKeys = new Set();
+    for (const [file, bib] of bibs) {
+      bib.usedBy.add(document);
+      if (bib.entries === null) {
+        problems.push({
+          href: relative(file), source: relative(document), element: 'bibliography', attribute: 'file',
+          type: 'error', category: 'missing-bibliography', reason: 'Bibliography file not found',
+          locations: [{ file: relative(document), line: 1 }]
+        });
+        continue;
+      }
+      bib.entries.forEach(entry => knownKeys.add(entry.key));
+      bib.citesAll ||= metadata.nocite.includes('@*');
+    }
+
+    const citations = [
+      ...findCitations(fs.readFileSync(document, 'utf8')),
+      ...[...metadata.nocite.matchAll(CITATION_PATTERN)].map(match => ({ key: match[1], line: 1 }))
+    ];
+    for (const { key, line } of citations) {
+      bibs.forEach(([, bib]) => bib.usedKeys.add(key));
+      if (!knownKeys.has(key) && key !== '*') {
+        problems.push({
+          href: `@${key}`, source: relative(document), element: 'citation', attribute: 'key',
+          type: 'error', category: 'missing-citation', reason: `No entry for @${key} in ${metadata.bibliographies.map(relative).join(', ')}`,
+          locations: [{ file: relative(document), line }]
+        });
+      }
+    }
+  }
+
+  // Entry links to check, and entries no document cites
+  const links = [];
+  for (const [file, bib] of bibFiles) {
+    if (bib.entries === null) {
+      continue;
+    }
+
+    for (const entry of bib.entries) {
+      const location = { file: relative(file), line: entry.line };
+      if (entry.fields.doi) {
+        links.push({ href: doiToUrl(entry.fields.doi), entry: entry.key, attribute: 'doi', location });
+      }
+      if (entry.fields.url) {
+        links.push({ href: entry.fields.url, entry: entry.key, attribute: 'url', location });
+      }
+
+      if (bib.usedBy.size > 0 && !bib.citesAll && !bib.usedKeys.has(entry.key)) {
+        problems.push({
+          href: `@${entry.key}`, source: relative(file), element: 'entry', attribute: 'key',
+          type: 'warning', category: 'unused-entry', reason: 'Entry is not cited by any document using this bibliography',
+          locations: [location]
+        });
+      }
+    }
+
+    if (bib.usedBy.size === 0) {
+      problems.push({
+        href: relative(file), source: relative(file), element: 'bibliography', attribute: 'file',
+        type: 'warning', category: 'unused-entry', reason: `Not used by any document (${bib.entries.length} entries)`,
+        locations: []
+      });
+    }
+  }
+
+  return { links, problems, bibFiles: [...bibFiles.keys()].map(relative) };
+}
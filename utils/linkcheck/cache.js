@@ -0,0 +1,120 @@
+/**
+ * Persistent result cache for external URL checks
+ *
+ * Stores the outcome of each external check (status, reason, timestamp) in a
+ * JSON file so repeated renders don't re-fetch URLs that were checked recently.
+ * Successful and failed checks expire after separate TTLs. Failed entries also
+ * remember when the URL last worked and since when it has failed, for the
+ * web-archive lookup. A refresh ignores the stored results but keeps that history.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const CACHE_VERSION = 1;
+const HOUR = 60 * 60 * 1000;
+
+// Load the cache file, starting fresh if it is missing or unreadable
+// With `refresh`, results stored before now are not used (but still give the URL history)
+export function loadCache(cachePath, { refresh = false } = {}) {
+  const cache = { path: cachePath, entries: {}, hits: 0, refreshedAt: refresh ? Date.now() : 0 };
+
+  if (!cachePath || !fs.existsSync(cachePath)) {
+    return cache;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    if (data.version === CACHE_VERSION && data.entries) {
+      cache.entries = data.entries;
+    }
+  } catch (e) {
+    console.error(`Warning: Could not read link cache, ignoring it: ${e.message}`);
+  }
+
+  return cache;
+}
+
+// TTL for an entry: warnings (e.g. bot detection) are rechecked as soon as failures,
+// but moved links work and are kept as long as successes
+function getTtl(entry, config) {
+  const hours = entry.ok && (!entry.warning || entry.category === 'moved')
+    ? config.cacheSuccessTtlHours
+    : config.cacheFailureTtlHours;
+  return hours * HOUR;
+}
+
+function isFresh(entry, config, now = Date.now()) {
+  return now - entry.checkedAt < getTtl(entry, config);
+}
+
+// Whether a stored result can stand in for a check: not expired or from before a refresh
+function isUsable(cache, entry, config) {
+  return Boolean(entry) && entry.checkedAt >= cache.refreshedAt && isFresh(entry, config);
+}
+
+// Get a cached result for a URL, or null if there is none or it has expired
+export function getCachedResult(cache, url, config) {
+  const entry = cache.entries[url];
+  if (!isUsable(cache, entry, config)) {
+    return null;
+  }
+
+  cache.hits++;
+  const { checkedAt, lastOkAt, failingSince, ...result } = entry;
+  return { ...result, cached: true };
+}
+
+// When a URL last worked and since when it has failed (timestamps, or null if unknown),
+// as far as the previous runs tell; a URL that hasn't failed before fails from now
+export function getUrlHistory(cache, url, now = Date.now()) {
+  const entry = cache?.entries[url];
+  if (!entry) {
+    return { lastOkAt: null, failingSince: now };
+  }
+  if (entry.ok) {
+    return { lastOkAt: entry.checkedAt, failingSince: now };
+  }
+  return { lastOkAt: entry.lastOkAt ?? null, failingSince: entry.failingSince ?? entry.checkedAt };
+}
+
+// Record the result of a check
+export function setCachedResult(cache, url, result) {
+  const history = result.ok ? {} : getUrlHistory(cache, url);
+  cache.entries[url] = { ...result, checkedAt: Date.now(), ...history };
+}
+
+// Add fields to a stored result (e.g. an archived copy looked up later),
+// without changing when it was checked
+export function updateCachedResult(cache, url, fields) {
+  if (cache.entries[url]) {
+    Object.assign(cache.entries[url], fields);
+  }
+}
+
+// Write the cache back to disk, dropping expired entries
+export function saveCache(cache, config) {
+  if (!cache.path) {
+    return;
+  }
+
+  const now = Date.now();
+  const entries = {};
+  for (const [url, entry] of Object.entries(cache.entries)) {
+    if (isFresh(entry, config, now)) {
+      entries[url] = entry;
+    }
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(cache.path), { recursive: true });
+    fs.writeFileSync(cache.path, JSON.stringify({ version: CACHE_VERSION, entries }, null, 2));
+  } catch (e) {
+    console.error(`Warning: Could not write link cache: ${e.message}`);
+  }
+}
+
+// Whether a URL has a cached result that hasn't expired (without counting it as a hit)
+export function hasFreshResult(cache, url, config) {
+  return isUsable(cache, cache.entries[url], config);
+}
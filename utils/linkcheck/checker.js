@@ -0,0 +1,1125 @@
+/**
+ * Link checker core
+ *
+ * Everything check-links.js does, as an importable module: `checkSite(options)`
+ * checks the rendered site (or its bibliographies, or crawls it) and returns the
+ * results without printing a report or exiting, so tests, other scripts and the
+ * Quarto hook can reuse it. The building blocks (extractLinks, checkUrl,
+ * isSoftNotFound, checkLocalPath, ...) are exported as well.
+ *
+ * Plugins add site-specific rules without changes here. A plugin is an object
+ * with a `name` and any of these hooks:
+ *
+ * - extractLinks($, page): extra links on a page, as [{ href, element, attribute }]
+ * - checkLink(link, context): a result ({ ok, warning, reason, ... }) for links it
+ *   handles, or null to leave the link to the built-in checks
+ * - report(report, context): called with the finished report data (see reporters.js)
+ *
+ * They are passed to checkSite directly or listed as module paths in the `plugins`
+ * config (each module's default export is a plugin).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import * as cheerio from 'cheerio';
+import fetch from 'node-fetch';
+import { loadCache, getCachedResult, setCachedResult, updateCachedResult, saveCache, hasFreshResult, getUrlHistory } from './cache.js';
+import { buildReport } from './reporters.js';
+import { createHostScheduler, parseRetryAfter, getBackoffDelay } from './scheduler.js';
+import { loadPageState, hashPage, isPageUnchanged, setPageHash, savePageState } from './incremental.js';
+import { readRenderGlobs, findSourceFile, locateLink, readSiteUrl, findSiteFile } from './sources.js';
+import { findIdentifier, interpretRegistryResponse } from './resolvers.js';
+import { analyzeBibliographies } from './bibliography.js';
+import { GRAPH_FORMATS, buildSiteGraph, analyzeSiteGraph, writeSiteGraph } from './crawl.js';
+import { loadBaseline, applyBaseline } from './baseline.js';
+import { createNotFoundProbes } from './notfound.js';
+import { getArchiveQueryUrl, interpretArchiveResponse } from './archive.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// What checkSite can do: check links on the rendered pages, check the bibliographies, or crawl
+export const CHECK_MODES = ['links', 'bibliography', 'crawl'];
+
+// The project root (parent of utils/) and the config file the CLI uses by default
+const DEFAULT_PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '..', 'linkcheck.config.json');
+
+// Default configuration
+export const DEFAULT_CONFIG = {
+  siteDir: '_site',
+  concurrency: 20,
+  timeout: 10000,
+  hostConcurrency: 2,
+  hostMinDelay: 250,
+  hostLimits: {},
+  retries: 2,
+  retryBaseDelay: 1000,
+  maxRetryDelay: 30000,
+  maxRedirects: 10,
+  resolvers: {
+    doi: { endpoint: 'https://doi.org/api/handles/{id}' },
+    arxiv: { endpoint: 'https://export.arxiv.org/api/query?id_list={id}' },
+    osf: { endpoint: 'https://api.osf.io/v2/guids/{id}/' },
+    biorxiv: { endpoint: 'https://api.biorxiv.org/details/{server}/{id}' }
+  },
+  excludePatterns: ['^mailto:', '^tel:', '^javascript:', '^data:', '^blob:'],
+  skipDomains: [],
+  checkFragments: true,
+  checkExternalFragments: false,
+  ignoreFragmentPatterns: ['='],
+  cacheFile: '.quarto/linkcheck-cache.json',
+  cacheSuccessTtlHours: 168,
+  cacheFailureTtlHours: 12,
+  pageStateFile: '.quarto/linkcheck-pages.json',
+  baselineFile: 'utils/linkcheck-baseline.json',
+  baselineExpiryDays: 90,
+  bibliographies: [],
+  crawlEntryPoints: ['index.html', '404.html'],
+  crawlIgnorePatterns: ['^site_libs/'],
+  crawlResourceExtensions: ['.pdf', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.avif'],
+  plugins: [],
+  archiveLookup: false,
+  archiveEndpoint: 'https://archive.org/wayback/available?url={url}&timestamp={timestamp}',
+  softNotFoundProbe: true,
+  softNotFoundSimilarity: 0.9,
+  softNotFoundPatterns: [
+    'page not found',
+    '404',
+    'not found',
+    'does not exist',
+    'no longer available',
+    'has been removed',
+    "this page doesn't exist"
+  ]
+};
+
+// Load configuration from a JSON file over the defaults (utils/linkcheck.config.json if not given)
+export function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
+  let config = { ...DEFAULT_CONFIG };
+  
+  if (fs.existsSync(configPath)) {
+    try {
+      const userConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      config = { ...config, ...userConfig };
+    } catch (e) {
+      console.error(`Warning: Could not parse config file: ${e.message}`);
+    }
+  }
+  
+  return config;
+}
+
+// Load the plugin modules listed in the config (paths relative to the project root)
+// Each module's default export is a plugin object (see checkSite)
+async function loadPlugins(modules, projectRoot) {
+  const plugins = [];
+  for (const modulePath of modules) {
+    const module = await import(pathToFileURL(path.resolve(projectRoot, modulePath)).href);
+    plugins.push({ name: modulePath, ...module.default });
+  }
+  return plugins;
+}
+
+// Get all HTML files recursively
+export function getHtmlFiles(dir) {
+  const files = [];
+  
+  if (!fs.existsSync(dir)) {
+    return files;
+  }
+  
+  const items = fs.readdirSync(dir, { withFileTypes: true });
+  
+  for (const item of items) {
+    const fullPath = path.join(dir, item.name);
+    if (item.isDirectory()) {
+      files.push(...getHtmlFiles(fullPath));
+    } else if (item.name.endsWith('.html')) {
+      files.push(fullPath);
+    }
+  }
+  
+  return files;
+}
+
+// Resolve the pages given with --files (absolute, relative to cwd or relative to siteDir)
+function resolveHtmlFiles(files, siteDir, warn) {
+  const resolved = [];
+  
+  for (const file of files) {
+    const candidates = [path.resolve(file), path.resolve(siteDir, file)];
+    const match = candidates.find(candidate => candidate.endsWith('.html') && fs.existsSync(candidate));
+    if (match) {
+      resolved.push(match);
+    } else if (file.endsWith('.html')) {
+      warn(`Warning: Skipping ${file}: not found in ${siteDir}`);
+    }
+  }
+  
+  return [...new Set(resolved)];
+}
+
+// Collect every id/name that a fragment can point to
+function collectAnchors($) {
+  const anchors = new Set();
+  
+  $('[id]').each((_, el) => {
+    anchors.add($(el).attr('id'));
+  });
+  $('a[name]').each((_, el) => {
+    anchors.add($(el).attr('name'));
+  });
+  
+  return anchors;
+}
+
+// Elements and attributes that reference other pages or resources
+// (resource hints like preconnect point at hosts, not at files, so they are left out)
+const LINK_SELECTORS = [
+  { selector: 'a[href]', attribute: 'href' },
+  { selector: 'img[src]', attribute: 'src' },
+  { selector: 'img[srcset]', attribute: 'srcset' },
+  { selector: 'source[src]', attribute: 'src' },
+  { selector: 'source[srcset]', attribute: 'srcset' },
+  { selector: 'script[src]', attribute: 'src' },
+  { selector: 'link[href]:not([rel~="preconnect"]):not([rel~="dns-prefetch"])', attribute: 'href' },
+  { selector: 'iframe[src]', attribute: 'src' },
+  { selector: 'video[src]', attribute: 'src' },
+  { selector: 'audio[src]', attribute: 'src' },
+  { selector: 'meta[property="og:image"]', attribute: 'content' }
+];
+
+// Elements whose target is a page (checked with GET); everything else is an asset (HEAD only)
+// (`bib` marks the doi/url fields of bibliography entries)
+const PAGE_ELEMENTS = ['a', 'iframe', 'bib'];
+
+// Split a srcset ("a.png 1x, b.png 2x") into its URLs
+function parseSrcset(srcset) {
+  return srcset
+    .split(/,\s+/)
+    .map(candidate => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+// Extract links from HTML file
+// Also records the page's anchors in `anchors` (keyed by absolute path)
+// Plugin extractors add their own links, e.g. from site-specific data attributes
+export function extractLinks(htmlPath, siteDir, anchors, plugins = []) {
+  const html = fs.readFileSync(htmlPath, 'utf8');
+  const $ = cheerio.load(html);
+  const links = new Set();
+  const relativePath = path.relative(siteDir, htmlPath);
+  
+  for (const { selector, attribute } of LINK_SELECTORS) {
+    $(selector).each((_, el) => {
+      const value = $(el).attr(attribute);
+      if (!value) {
+        return;
+      }
+      
+      const element = el.tagName.toLowerCase();
+      const hrefs = attribute === 'srcset' ? parseSrcset(value) : [value.trim()];
+      for (const href of hrefs) {
+        links.add({ href, source: relativePath, element, attribute });
+      }
+    });
+  }
+  
+  for (const plugin of plugins.filter(plugin => plugin.extractLinks)) {
+    for (const link of plugin.extractLinks($, relativePath) || []) {
+      links.add({ element: 'plugin', attribute: plugin.name, ...link, source: relativePath });
+    }
+  }
+  
+  if (anchors) {
+    anchors.set(htmlPath, collectAnchors($));
+  }
+  
+  return Array.from(links);
+}
+
+// Get the decoded fragment of a link, or null if it has none
+function getFragment(href) {
+  const hashIndex = href.indexOf('#');
+  if (hashIndex === -1) {
+    return null;
+  }
+  
+  const fragment = href.slice(hashIndex + 1);
+  try {
+    return decodeURIComponent(fragment);
+  } catch {
+    return fragment;
+  }
+}
+
+// Check if a fragment has a matching target among a page's anchors
+function hasAnchor(anchors, fragment, config) {
+  // Empty fragments and #top scroll to the top of the page per the HTML spec
+  if (fragment === '' || fragment.toLowerCase() === 'top') {
+    return true;
+  }
+  
+  // Fragments used as client-side state (e.g. listing #category=R) are not anchors
+  for (const pattern of config.ignoreFragmentPatterns) {
+    if (new RegExp(pattern).test(fragment)) {
+      return true;
+    }
+  }
+  
+  // GitHub prefixes rendered heading ids and rewrites the fragment with JS
+  return anchors.has(fragment) || anchors.has(`user-content-${fragment}`);
+}
+
+// Check if URL should be skipped
+export function shouldSkip(url, config) {
+  // Check exclude patterns
+  for (const pattern of config.excludePatterns) {
+    if (new RegExp(pattern, 'i').test(url)) {
+      return true;
+    }
+  }
+  
+  // Check skip domains
+  try {
+    const parsedUrl = new URL(url);
+    for (const domain of config.skipDomains) {
+      if (parsedUrl.hostname.includes(domain)) {
+        return true;
+      }
+    }
+  } catch {
+    // Not a valid URL, might be relative - don't skip
+  }
+  
+  return false;
+}
+
+// Check if a link is an external URL
+export function isExternal(href) {
+  return href.startsWith('http://') || href.startsWith('https://');
+}
+
+// Check if response body indicates soft 404, from its title and first heading
+// Used for every page the soft 404 probe doesn't flag (see notfound.js)
+export function isSoftNotFound(body, config) {
+  if (!body) {
+    return false; // No body doesn't mean not found - could be empty response
+  }
+  
+  const $ = cheerio.load(body);
+  
+  const title = $('title').text().toLowerCase().trim();
+  const h1Text = $('h1').first().text().toLowerCase().trim();
+
+  // Strong indicators: title is PRIMARILY about 404/not found (not just contains "404")
+  // These patterns indicate the page IS an error page, not a page that mentions 404
+  const errorPageTitlePatterns = [
+    /^404\b/,                           // Title starts with "404"
+    /\b404\s*(error|page|-)\b/,         // "404 error", "404 page", "404 -"
+    /\berror\s*404\b/,                  // "error 404"
+    /^page not found/,                  // Title starts with "page not found"
+    /^not found/,                       // Title starts with "not found"
+    /page\s*(not|can'?t be)\s*found/,   // "page not found", "page can't be found"
+    /^oops/i,                           // Error pages often start with "Oops"
+  ];
+
+  for (const pattern of errorPageTitlePatterns) {
+    if (pattern.test(title)) {
+      return true;
+    }
+  }
+  
+  // Check h1 only if it looks like an error heading (short and matches pattern)
+  // Long h1s are likely real content, not error messages
+  if (h1Text.length < 50) {
+    for (const pattern of errorPageTitlePatterns) {
+      if (pattern.test(h1Text)) {
+        return true;
+      }
+    }
+  }
+  
+  // Check for user-configured soft 404 patterns, but only in title and short h1
+  for (const pattern of config.softNotFoundPatterns) {
+    const lowerPattern = pattern.toLowerCase();
+    
+    // Only match if title is short (likely an error page title)
+    if (title.length < 80 && title.includes(lowerPattern)) {
+      return true;
+    }
+    
+    // Only match h1 if it's short (error messages are typically brief)
+    if (h1Text.length < 50 && h1Text.includes(lowerPattern)) {
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+// Browser-like headers to avoid bot detection
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Accept-Encoding': 'gzip, deflate, br',
+  'Cache-Control': 'no-cache',
+  'Pragma': 'no-cache',
+  'Sec-Fetch-Dest': 'document',
+  'Sec-Fetch-Mode': 'navigate',
+  'Sec-Fetch-Site': 'none',
+  'Sec-Fetch-User': '?1',
+  'Upgrade-Insecure-Requests': '1'
+};
+
+// Statuses that mean "slow down": retried after Retry-After or an exponential backoff
+const RETRY_STATUSES = [429, 503];
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const PERMANENT_REDIRECT_STATUSES = [301, 308];
+
+// Fetch through the per-host scheduler, starting the timeout only once the request goes
+// The timeout covers reading the body too: it is cleared once text() or arrayBuffer()
+// has finished, so a server that stalls mid-body can't hang the run
+async function timedFetch(url, options, config, scheduler) {
+  const controller = new AbortController();
+  let timeoutId;
+  
+  try {
+    const response = await scheduler.schedule(url, () => {
+      timeoutId = setTimeout(() => controller.abort(), config.timeout);
+      // An unread body must not keep the process alive until the timeout
+      timeoutId.unref();
+      return fetch(url, {
+        ...options,
+        signal: controller.signal,
+        headers: BROWSER_HEADERS,
+        redirect: 'manual'
+      });
+    });
+    
+    for (const method of ['text', 'arrayBuffer']) {
+      const read = response[method].bind(response);
+      response[method] = () => read().finally(() => clearTimeout(timeoutId));
+    }
+    return response;
+  } catch (error) {
+    clearTimeout(timeoutId);
+    throw error;
+  }
+}
+
+// Fetch a URL, following redirects by hand so every hop can be recorded
+// Returns the final response, the chain of hops and whether it ended in a loop
+async function fetchWithRedirects(url, config, scheduler, method = 'GET') {
+  const chain = [];
+  let currentUrl = url.split('#')[0];
+  
+  for (;;) {
+    const response = await timedFetch(currentUrl, { method }, config, scheduler);
+    const location = response.headers.get('location');
+    
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return { response, chain };
+    }
+    
+    // Drain the redirect body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    
+    const nextUrl = new URL(location, currentUrl).href;
+    chain.push({ url: currentUrl, status: response.status, location: nextUrl });
+    
+    if (nextUrl === currentUrl || chain.some(hop => hop.url === nextUrl)) {
+      return { response, chain, loop: true };
+    }
+    if (chain.length >= config.maxRedirects) {
+      return { response, chain, tooManyRedirects: true };
+    }
+    
+    currentUrl = nextUrl;
+  }
+}
+
+// The hops of a redirect chain as reported (URL and status of each)
+function toRedirects(chain) {
+  return chain.map(({ url, status }) => ({ url, status }));
+}
+
+// Describe a redirect chain, e.g. "a (301) → b (302) → c"
+function formatRedirectChain(chain) {
+  return [...chain.map(hop => `${hop.url} (${hop.status})`), chain[chain.length - 1].location].join(' → ');
+}
+
+// Attach the redirect chain to a result. Working links whose first redirects are
+// permanent are reported as "moved", with the URL they should be replaced by.
+function withRedirects(result, chain) {
+  if (chain.length === 0) {
+    return result;
+  }
+  
+  const redirects = toRedirects(chain);
+  const finalUrl = chain[chain.length - 1].location;
+  const firstTemporary = chain.findIndex(hop => !PERMANENT_REDIRECT_STATUSES.includes(hop.status));
+  const permanentHops = firstTemporary === -1 ? chain : chain.slice(0, firstTemporary);
+  
+  if (!result.ok || result.warning || permanentHops.length === 0) {
+    return { ...result, redirects, finalUrl };
+  }
+  
+  const movedTo = permanentHops[permanentHops.length - 1].location;
+  return {
+    ...result,
+    redirects,
+    finalUrl,
+    movedTo,
+    warning: true,
+    category: 'moved',
+    reason: `Permanently moved to ${movedTo} (${formatRedirectChain(chain)})`
+  };
+}
+
+// Soft 404 probes for a run, fetched through its scheduler
+function createProbes(config, scheduler) {
+  return createNotFoundProbes(config, url => fetchWithRedirects(url, config, scheduler));
+}
+
+// Check a single URL
+// Requests go through the per-host scheduler, and pages are compared with the host's
+// answer for a nonexistent URL (`probes`, shared by a run); `attempt` counts retries so far
+export async function checkUrl(url, config, scheduler = createHostScheduler(config), probes = createProbes(config, scheduler), attempt = 0) {
+  try {
+    const { response, chain, loop, tooManyRedirects } = await fetchWithRedirects(url, config, scheduler);
+    
+    if (loop) {
+      return { ok: false, status: response.status, category: 'redirect-loop', redirects: toRedirects(chain), reason: `Redirect loop: ${formatRedirectChain(chain)}` };
+    }
+    if (tooManyRedirects) {
+      return { ok: false, status: response.status, category: 'redirect-loop', redirects: toRedirects(chain), reason: `Too many redirects (${chain.length}): ${formatRedirectChain(chain)}` };
+    }
+    
+    // Rate limited or temporarily unavailable: hold off the whole host, then retry
+    if (RETRY_STATUSES.includes(response.status) && attempt < config.retries) {
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      scheduler.pause(url, Math.min(retryAfter ?? getBackoffDelay(attempt, config), config.maxRetryDelay));
+      return checkUrl(url, config, scheduler, probes, attempt + 1);
+    }
+    
+    // Handle different error codes
+    if (response.status === 403 || response.status === 429) {
+      // 403 often means bot detection, 429 that we are still rate limited after retrying
+      // Try HEAD request as fallback - some servers allow HEAD but block GET
+      const headResult = await tryHeadRequest(url, config, scheduler);
+      if (headResult.ok) {
+        return withRedirects({ ok: true, status: response.status, note: 'Passed via HEAD request' }, chain);
+      }
+      // If both fail, mark as warning (not error) - the link itself may be fine
+      const reason = response.status === 429
+        ? `HTTP 429 (still rate limited after ${attempt} retries - verify manually)`
+        : 'HTTP 403 (likely bot detection - verify manually)';
+      return withRedirects({ ok: true, warning: true, status: response.status, reason }, chain);
+    }
+
+    if (response.status >= 400) {
+      return withRedirects({ ok: false, status: response.status, reason: `HTTP ${response.status}` }, chain);
+    }
+    
+    // For successful responses, check for soft 404: the probe catches generic pages,
+    // the patterns catch "not found" pages the probe can't tell apart (or can't probe)
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/html')) {
+      const body = await response.text();
+      const finalUrl = chain.length > 0 ? chain[chain.length - 1].location : url;
+      const probed = await probes.check({ url, status: response.status, finalUrl, body });
+      if (probed?.notFound) {
+        return withRedirects({ ok: false, status: response.status, reason: probed.reason }, chain);
+      }
+      if (isSoftNotFound(body, config)) {
+        return withRedirects({ ok: false, status: response.status, reason: 'Soft 404 (page shows not found content)' }, chain);
+      }
+      
+      // Optionally check that the fragment exists on the remote page.
+      // Anchors may be created client-side, so a miss is only a warning.
+      const fragment = getFragment(url);
+      if (config.checkExternalFragments && fragment !== null &&
+          !hasAnchor(collectAnchors(cheerio.load(body)), fragment, config)) {
+        return withRedirects({ ok: true, warning: true, category: 'fragment', status: response.status, reason: `Anchor #${fragment} not found on page` }, chain);
+      }
+    }
+    
+    return withRedirects({ ok: true, status: response.status }, chain);
+  } catch (error) {
+    // Retry on transient errors, backing off exponentially
+    if (attempt < config.retries && (error.name === 'AbortError' || error.code === 'ECONNRESET')) {
+      scheduler.pause(url, getBackoffDelay(attempt, config));
+      return checkUrl(url, config, scheduler, probes, attempt + 1);
+    }
+    
+    if (error.name === 'AbortError') {
+      return { ok: false, status: 0, reason: 'Timeout' };
+    }
+    
+    return { ok: false, status: 0, reason: error.message };
+  }
+}
+
+// Try a HEAD request as fallback (some servers block GET but allow HEAD)
+async function tryHeadRequest(url, config, scheduler) {
+  try {
+    const { response, chain, loop, tooManyRedirects } = await fetchWithRedirects(url, config, scheduler, 'HEAD');
+    if (loop || tooManyRedirects) {
+      return { ok: false, status: response.status, chain, category: 'redirect-loop', reason: `Redirect loop: ${formatRedirectChain(chain)}` };
+    }
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    return { ok: response.status < 400, status: response.status, chain, retryAfter };
+  } catch (error) {
+    return { ok: false, status: 0, chain: [], reason: error.name === 'AbortError' ? 'Timeout' : error.message };
+  }
+}
+
+// Check a non-HTML asset (image, script, stylesheet, media) with a HEAD request only
+// Rate limits are retried like in checkUrl; `attempt` counts retries so far
+export async function checkAsset(url, config, scheduler = createHostScheduler(config), probes = createProbes(config, scheduler), attempt = 0) {
+  const result = await tryHeadRequest(url, config, scheduler);
+  
+  if (result.ok) {
+    return withRedirects({ ok: true, status: result.status }, result.chain);
+  }
+  
+  // The server doesn't support HEAD, so fall back to a full check
+  if (result.status === 405 || result.status === 501) {
+    return checkUrl(url, config, scheduler, probes);
+  }
+  
+  // Rate limited or temporarily unavailable: hold off the whole host, then retry
+  if (RETRY_STATUSES.includes(result.status) && attempt < config.retries) {
+    scheduler.pause(url, Math.min(result.retryAfter ?? getBackoffDelay(attempt, config), config.maxRetryDelay));
+    return checkAsset(url, config, scheduler, probes, attempt + 1);
+  }
+  
+  if (result.status === 429) {
+    return { ok: true, warning: true, status: result.status, reason: `HTTP 429 (still rate limited after ${attempt} retries - verify manually)` };
+  }
+  if (result.status === 403) {
+    return { ok: true, warning: true, status: result.status, reason: 'HTTP 403 (likely bot detection - verify manually)' };
+  }
+  
+  const { ok, chain, retryAfter, ...failure } = result;
+  return withRedirects({ ok: false, reason: `HTTP ${result.status}`, ...failure }, chain);
+}
+
+// Resolve a local link to the path it points at (query strings and fragments removed)
+function resolveLocalPath(href, htmlPath, siteDir) {
+  const hrefPath = href.split('#')[0].split('?')[0];
+  
+  // Same-page links (e.g. "#section") point at the page itself
+  if (hrefPath === '') {
+    return htmlPath;
+  }
+  
+  // Handle absolute paths (starting with /)
+  if (hrefPath.startsWith('/')) {
+    return path.join(siteDir, hrefPath);
+  }
+  
+  // Relative path
+  return path.join(path.dirname(htmlPath), hrefPath);
+}
+
+// Find the file a local link resolves to, or null if it does not exist
+function findLocalFile(targetPath) {
+  // Directory with index.html
+  const indexPath = path.join(targetPath, 'index.html');
+  if (fs.existsSync(indexPath)) {
+    return indexPath;
+  }
+  
+  // Check if path exists (could be a file or a directory without index.html)
+  if (fs.existsSync(targetPath)) {
+    return targetPath;
+  }
+  
+  // Try adding .html
+  if (fs.existsSync(targetPath + '.html')) {
+    return targetPath + '.html';
+  }
+  
+  return null;
+}
+
+// Look up a scholarly identifier (DOI, arXiv, OSF, bioRxiv) in its registry
+// Returns null when the registry can't give an answer, so the link is checked normally
+async function checkIdentifier(identifier, config, scheduler) {
+  const { type, label, id } = identifier;
+  
+  try {
+    const { response } = await fetchWithRedirects(identifier.endpoint, config, scheduler);
+    const body = await response.text();
+    const found = interpretRegistryResponse(identifier, response.status, body);
+    
+    if (found === true) {
+      return { ok: true, status: response.status, identifier: { type, id }, note: `${label} ${id} found in registry` };
+    }
+    if (found === false) {
+      return { ok: false, status: response.status, identifier: { type, id }, reason: `${label} ${id} not found in registry` };
+    }
+  } catch {
+    // Registry unreachable: fall back to checking the link itself
+  }
+  
+  return null;
+}
+
+// Check an external link: scholarly identifiers against their registry,
+// pages with GET and assets with HEAD
+async function checkExternal(href, element, config, scheduler, probes) {
+  const identifier = findIdentifier(href, config);
+  if (identifier) {
+    const result = await checkIdentifier(identifier, config, scheduler);
+    if (result) {
+      return result;
+    }
+  }
+  
+  return PAGE_ELEMENTS.includes(element)
+    ? checkUrl(href, config, scheduler, probes)
+    : checkAsset(href, config, scheduler, probes);
+}
+
+// Look up the archived copy of a dead link: a snapshot from before it broke, as
+// { url, timestamp }, or null if there is none (or the archive can't be reached)
+async function findArchivedCopy(href, history, config, scheduler) {
+  try {
+    const { response } = await fetchWithRedirects(getArchiveQueryUrl(href, history, config), config, scheduler);
+    if (response.status !== 200) {
+      await response.arrayBuffer().catch(() => {});
+      return null;
+    }
+    return interpretArchiveResponse(await response.text(), history);
+  } catch {
+    return null;
+  }
+}
+
+// Check if a local file exists and, for HTML pages, that the fragment has a target
+export function checkLocalPath(href, htmlPath, siteDir, anchors = new Map(), config = DEFAULT_CONFIG) {
+  const targetFile = findLocalFile(resolveLocalPath(href, htmlPath, siteDir));
+  
+  if (!targetFile) {
+    return { ok: false, reason: 'Local file not found' };
+  }
+  
+  const fragment = getFragment(href);
+  if (!config.checkFragments || fragment === null || !targetFile.endsWith('.html')) {
+    return { ok: true };
+  }
+  
+  // Pages outside the scanned set (should be rare) are parsed on demand
+  if (!anchors.has(targetFile)) {
+    anchors.set(targetFile, collectAnchors(cheerio.load(fs.readFileSync(targetFile, 'utf8'))));
+  }
+  
+  if (!hasAnchor(anchors.get(targetFile), fragment, config)) {
+    return {
+      ok: false,
+      category: 'fragment',
+      reason: `Anchor #${fragment} not found in ${path.relative(siteDir, targetFile)}`
+    };
+  }
+  
+  return { ok: true };
+}
+
+// Key used to deduplicate links: external URLs by themselves,
+// local links by the file (and fragment) they resolve to
+function getLinkKey(link, siteDir) {
+  if (isExternal(link.href)) {
+    return link.href;
+  }
+  
+  const target = path.relative(siteDir, resolveLocalPath(link.href, link.htmlPath, siteDir));
+  const fragment = getFragment(link.href);
+  return fragment === null ? target : `${target}#${fragment}`;
+}
+
+// Ask the plugin checkers about a link, in order; the first result wins
+// Returns null if none of them handles it, leaving the link to the built-in checks
+async function checkWithPlugins(link, plugins, context) {
+  for (const plugin of plugins.filter(plugin => plugin.checkLink)) {
+    const result = await plugin.checkLink(link, context);
+    if (result) {
+      return result;
+    }
+  }
+  return null;
+}
+
+// Check links with concurrency control
+// `concurrency` caps all checks; the host scheduler additionally limits each external host
+async function checkLinksWithConcurrency(links, config, siteDir, anchors, resultCache, { plugins = [], onProgress } = {}) {
+  const results = [];
+  const urlCache = new Map();
+  const scheduler = createHostScheduler(config);
+  const probes = createProbes(config, scheduler);
+  const queue = [...links];
+  let activeChecks = 0;
+  let completed = 0;
+  const total = links.length;
+  
+  return new Promise((resolve) => {
+    const processNext = async () => {
+      if (queue.length === 0 && activeChecks === 0) {
+        resolve(results);
+        return;
+      }
+      
+      while (activeChecks < config.concurrency && queue.length > 0) {
+        // Take the next link whose host is not already busy, so one slow host
+        // can't tie up every slot; if all are busy, wait for a check to finish
+        const index = queue.findIndex(link => !isExternal(link.href) || scheduler.hasCapacity(link.href));
+        if (index === -1) {
+          break;
+        }
+        const link = queue.splice(index, 1)[0];
+        activeChecks++;
+        
+        (async () => {
+          const { href, source, htmlPath, key, element, attribute } = link;
+          try {
+            let result = await checkWithPlugins(link, plugins, {
+              config,
+              siteDir,
+              checkUrl: url => checkUrl(url, config, scheduler, probes),
+              checkAsset: url => checkAsset(url, config, scheduler, probes)
+            });
+            
+            // Check if it's an external URL
+            if (result) {
+              // Handled by a plugin (not cached, as plugins may depend on more than the URL)
+            } else if (isExternal(href)) {
+              // Check in-memory cache first, then results persisted by earlier runs
+              if (urlCache.has(href)) {
+                result = urlCache.get(href);
+              } else {
+                result = resultCache ? getCachedResult(resultCache, href, config) : null;
+                const cached = Boolean(result);
+                if (!cached) {
+                  result = await checkExternal(href, element, config, scheduler, probes);
+                }
+                // Dead links get an archived copy to suggest (also failures cached without one,
+                // which keep it for the rest of their TTL)
+                if (!result.ok && config.archiveLookup && !('archive' in result)) {
+                  result = { ...result, archive: await findArchivedCopy(href, getUrlHistory(resultCache, href), config, scheduler) };
+                  if (resultCache && cached) {
+                    updateCachedResult(resultCache, href, { archive: result.archive });
+                  }
+                }
+                if (resultCache && !cached) {
+                  setCachedResult(resultCache, href, result);
+                }
+                urlCache.set(href, result);
+              }
+            } else {
+              // Local path
+              result = checkLocalPath(href, htmlPath, siteDir, anchors, config);
+            }
+            
+            if (!result.ok) {
+              results.push({ href, source, key, element, attribute, ...result, type: 'error' });
+            } else if (result.warning) {
+              results.push({ href, source, key, element, attribute, ...result, type: 'warning' });
+            }
+          } catch (error) {
+            // A throwing plugin or unreadable file fails this link, not the whole run
+            results.push({ href, source, key, element, attribute, ok: false, reason: `Check failed: ${error.message}`, type: 'error' });
+          } finally {
+            completed++;
+            onProgress?.(completed, total);
+            
+            activeChecks--;
+            processNext();
+          }
+        })();
+      }
+    };
+    
+    processNext();
+  });
+}
+
+// Load the persistent result cache (`refresh` ignores the stored results, but still
+// updates them and keeps each URL's history for the archive lookup)
+function openResultCache(config, projectRoot, refresh) {
+  const cachePath = config.cacheFile ? path.resolve(projectRoot, config.cacheFile) : null;
+  return loadCache(cachePath, { refresh });
+}
+
+// Bibliography mode: check the doi/url fields of .bib entries with the network checker,
+// and cross-check citation keys in the source documents against the entries
+async function checkBibliographies(config, projectRoot, { refresh, plugins, log, onProgress }) {
+  log('\n📚 Checking bibliographies...\n');
+  
+  const { links, problems, bibFiles } = analyzeBibliographies(projectRoot, config.bibliographies);
+  log(`Found ${bibFiles.length} bibliography file(s): ${bibFiles.join(', ')}`);
+  
+  // Deduplicate entry links by URL (but keep track of every entry that uses them)
+  const uniqueLinks = [];
+  const seen = new Map();
+  const locations = new Map();
+  for (const link of links.filter(link => isExternal(link.href) && !shouldSkip(link.href, config))) {
+    const source = `${link.location.file} (@${link.entry})`;
+    if (!seen.has(link.href)) {
+      seen.set(link.href, [source]);
+      locations.set(link.href, [link.location]);
+      uniqueLinks.push({ href: link.href, key: link.href, source, element: 'bib', attribute: link.attribute });
+    } else {
+      seen.get(link.href).push(source);
+      locations.get(link.href).push(link.location);
+    }
+  }
+  
+  // Citation problems are reported per occurrence
+  problems.forEach((problem, index) => {
+    problem.key = `${problem.category}:${index}`;
+    seen.set(problem.key, [problem.source]);
+  });
+  
+  log(`Found ${uniqueLinks.length} unique entry links to check.\n`);
+  
+  const resultCache = openResultCache(config, projectRoot, refresh);
+  const brokenLinks = await checkLinksWithConcurrency(uniqueLinks, config, projectRoot, new Map(), resultCache, { plugins, onProgress });
+  saveCache(resultCache, config);
+  
+  for (const link of brokenLinks) {
+    link.locations = locations.get(link.href);
+  }
+  
+  return { siteDir: projectRoot, results: [...brokenLinks, ...problems], seen, checked: uniqueLinks, cacheHits: resultCache.hits };
+}
+
+// The site file a link points at (absolute path), or null for external and broken links
+// Absolute links to the site's own URL count as internal
+function resolveSiteTarget(href, htmlPath, siteDir, siteUrl) {
+  let targetFile;
+  if (isExternal(href)) {
+    const sitePath = findSiteFile(href, siteUrl, siteDir);
+    targetFile = sitePath && path.join(siteDir, sitePath);
+  } else {
+    targetFile = findLocalFile(resolveLocalPath(href, htmlPath, siteDir));
+  }
+  return targetFile && fs.statSync(targetFile).isFile() ? targetFile : null;
+}
+
+// Crawl mode: follow internal links from the entry points and the navbar to find orphan
+// pages, resources nothing uses and drafts that can still be reached
+// `graph` ({ format, path }) also writes the site graph
+function crawlSite(config, projectRoot, siteDir, { graph: graphOutput, plugins, log }) {
+  log(`\n🕸️  Crawling ${siteDir} from ${config.crawlEntryPoints.join(', ')}...\n`);
+  
+  if (graphOutput && !GRAPH_FORMATS.includes(graphOutput.format)) {
+    throw new Error(`Unknown graph format: ${graphOutput.format} (expected ${GRAPH_FORMATS.join(' or ')})`);
+  }
+  
+  const siteUrl = readSiteUrl(projectRoot);
+  const graph = buildSiteGraph(siteDir, {
+    projectRoot,
+    entryPoints: config.crawlEntryPoints,
+    ignorePatterns: config.crawlIgnorePatterns,
+    resourceExtensions: config.crawlResourceExtensions,
+    getLinks: htmlFile => extractLinks(htmlFile, siteDir, null, plugins).filter(link => !shouldSkip(link.href, config)),
+    resolveTarget: (href, htmlFile) => resolveSiteTarget(href, htmlFile, siteDir, siteUrl)
+  });
+  
+  const nodes = [...graph.nodes.values()];
+  const reachable = nodes.filter(node => node.depth !== null).length;
+  log(`Found ${nodes.length} pages and resources, ${reachable} reachable, ${graph.edges.length} internal links.`);
+  
+  if (graphOutput) {
+    writeSiteGraph(graphOutput.format, graphOutput.path, graph, siteDir);
+    log(`🗺️  Wrote the site graph to ${graphOutput.path}`);
+  }
+  
+  // Drafts point at the links to them, orphans and resources at their source document
+  const renderGlobs = readRenderGlobs(projectRoot);
+  const seen = new Map();
+  const problems = analyzeSiteGraph(graph, config.crawlResourceExtensions);
+  for (const problem of problems) {
+    seen.set(problem.key, problem.sources);
+    if (problem.category === 'reachable-draft') {
+      const links = graph.edges.filter(edge => edge.to === problem.href && problem.sources.includes(edge.from));
+      problem.locations = links.flatMap(edge => locateLink(edge.href, [edge.from], projectRoot, renderGlobs).locations);
+    } else {
+      const sourceFile = problem.href.endsWith('.html') && findSourceFile(problem.href, projectRoot, renderGlobs);
+      problem.locations = sourceFile ? [{ file: path.relative(projectRoot, sourceFile), line: 1 }] : [];
+    }
+  }
+  
+  const checked = nodes.map(node => ({ href: node.id, key: node.id, source: node.id }));
+  return { siteDir, results: problems, seen, checked, graph };
+}
+
+// Link mode: check every link on the rendered pages (or just `files`)
+async function checkLinks(config, projectRoot, siteDir, { files = [], incremental, refresh, plugins, log, warn, onProgress }) {
+  log(`\n🔍 Checking links in ${siteDir}...\n`);
+  
+  // Get all HTML files, or just the ones given
+  const htmlFiles = files.length > 0 ? resolveHtmlFiles(files, siteDir, warn) : getHtmlFiles(siteDir);
+  
+  if (htmlFiles.length === 0) {
+    log('No HTML files found.');
+    return { siteDir, results: [], seen: new Map(), checked: [], cacheHits: 0 };
+  }
+  
+  log(`Found ${htmlFiles.length} HTML files.`);
+  
+  const resultCache = openResultCache(config, projectRoot, refresh);
+  
+  // Page hashes from earlier runs tell which pages changed
+  const statePath = config.pageStateFile ? path.resolve(projectRoot, config.pageStateFile) : null;
+  const pageState = loadPageState(statePath);
+  const pageHashes = new Map();
+  const changedPages = new Set();
+  
+  // Extract all links (and the anchors each page defines)
+  const allLinks = [];
+  const anchors = new Map();
+  for (const htmlFile of htmlFiles) {
+    const links = extractLinks(htmlFile, siteDir, anchors, plugins);
+    const page = path.relative(siteDir, htmlFile);
+    const hash = hashPage(links, anchors.get(htmlFile));
+    pageHashes.set(page, hash);
+    if (!incremental || !isPageUnchanged(pageState, page, hash)) {
+      changedPages.add(page);
+    }
+    
+    for (const link of links) {
+      if (!shouldSkip(link.href, config)) {
+        const fullLink = { ...link, htmlPath: htmlFile };
+        allLinks.push({ ...fullLink, key: getLinkKey(fullLink, siteDir) });
+      }
+    }
+  }
+  
+  // Deduplicate by URL or resolved local target (but keep track of all sources)
+  const uniqueLinks = [];
+  const seen = new Map();
+  
+  for (const link of allLinks) {
+    if (!seen.has(link.key)) {
+      seen.set(link.key, [link.source]);
+      uniqueLinks.push(link);
+    } else {
+      seen.get(link.key).push(link.source);
+    }
+  }
+  
+  // In incremental mode, only check links on changed pages, plus external links whose
+  // cached result has expired. Local links are cheap, so they are always checked
+  // (this catches links to pages that were removed since the last run).
+  const linksToCheck = uniqueLinks.filter(link =>
+    seen.get(link.key).some(source => changedPages.has(source)) ||
+    !isExternal(link.href) ||
+    !hasFreshResult(resultCache, link.href, config)
+  );
+  
+  if (incremental) {
+    log(`${changedPages.size} of ${htmlFiles.length} page(s) changed since the last run.`);
+  }
+  log(`Found ${linksToCheck.length} unique links to check.\n`);
+  
+  // Check all links
+  const brokenLinks = await checkLinksWithConcurrency(linksToCheck, config, siteDir, anchors, resultCache, { plugins, onProgress });
+  saveCache(resultCache, config);
+  
+  // Map each reported link back to the source lines it was written on
+  const renderGlobs = readRenderGlobs(projectRoot);
+  for (const link of brokenLinks) {
+    Object.assign(link, locateLink(link.href, seen.get(link.key) || [link.source], projectRoot, renderGlobs));
+  }
+  
+  // The pages are remembered once the baseline has been applied (see checkSite)
+  return { siteDir, results: brokenLinks, seen, checked: linksToCheck, cacheHits: resultCache.hits, pages: { state: pageState, hashes: pageHashes } };
+}
+
+// Remember the pages that passed, so incremental runs can skip them
+// Pages with errors the baseline doesn't cover are checked again next time;
+// warnings and known failures don't hold a page back
+function rememberPassedPages({ state, hashes }, results, seen) {
+  const failedPages = new Set(results
+    .filter(link => link.type === 'error' && !link.baselined)
+    .flatMap(link => seen.get(link.key) || [link.source]));
+  for (const [page, hash] of hashes) {
+    setPageHash(state, page, failedPages.has(page) ? null : hash);
+  }
+  savePageState(state);
+}
+
+// Check a site and return the results, without printing a report or exiting
+// Options (all optional):
+//   mode         'links' (default), 'bibliography' or 'crawl'
+//   config       Config object, merged over DEFAULT_CONFIG (or `configPath`, a JSON file)
+//   projectRoot  The Quarto project (default: the parent of utils/)
+//   files        Only check these rendered pages (links mode)
+//   incremental  Skip pages whose links haven't changed since they last passed
+//   refresh      Ignore cached results for external URLs
+//   graph        { format: 'json' | 'dot', path } to write the site graph (crawl mode)
+//   plugins      Plugin objects, in addition to the modules in the `plugins` config
+//   log, warn    Progress messages and warnings (default: none, and console.error)
+//   onProgress   Called with (completed, total) as links are checked
+// Returns { mode, siteDir, results, seen, checked, cacheHits, graph, baseline, report, errors, warnings }:
+// `results` are the errors and warnings, `seen` maps each result key to the pages it
+// was found on, and `report` is the data the report formats are written from. Results
+// the baseline covers have a `baselined` field and don't count as errors or warnings
+export async function checkSite(options = {}) {
+  const {
+    mode = 'links',
+    projectRoot = DEFAULT_PROJECT_ROOT,
+    log = () => {},
+    warn = message => console.error(message)
+  } = options;
+  if (!CHECK_MODES.includes(mode)) {
+    throw new Error(`Unknown mode: ${mode} (expected ${CHECK_MODES.join(', ')})`);
+  }
+  
+  const config = options.config
+    ? { ...DEFAULT_CONFIG, ...options.config }
+    : loadConfig(options.configPath);
+  const siteDir = path.resolve(projectRoot, config.siteDir);
+  const plugins = [...await loadPlugins(config.plugins, projectRoot), ...(options.plugins || [])];
+  const modeOptions = { ...options, plugins, log, warn };
+  
+  let outcome;
+  let pages;
+  if (mode === 'bibliography') {
+    outcome = await checkBibliographies(config, projectRoot, modeOptions);
+  } else {
+    if (!fs.existsSync(siteDir)) {
+      throw new Error(`Site directory not found: ${siteDir}\n   Make sure to run "quarto render" first.`);
+    }
+    ({ pages, ...outcome } = mode === 'crawl'
+      ? crawlSite(config, projectRoot, siteDir, modeOptions)
+      : await checkLinks(config, projectRoot, siteDir, modeOptions));
+  }
+  
+  // Known failures from the baseline are marked, and stale entries reported
+  const baseline = loadBaseline(config.baselineFile && path.resolve(projectRoot, config.baselineFile));
+  outcome.results = applyBaseline(baseline, outcome, { projectRoot }).results;
+  if (pages) {
+    rememberPassedPages(pages, outcome.results, outcome.seen);
+  }
+  
+  const report = buildReport(outcome);
+  for (const plugin of plugins.filter(plugin => plugin.report)) {
+    await plugin.report(report, { mode, config, projectRoot });
+  }
+  
+  return {
+    mode,
+    ...outcome,
+    baseline,
+    report,
+    errors: outcome.results.filter(link => link.type === 'error' && !link.baselined).length,
+    warnings: outcome.results.filter(link => link.type === 'warning' && !link.baselined).length
+  };
+}
@@ -0,0 +1,252 @@
+/**
+ * Site crawl and reachability graph
+ *
+ * Starts from the entry points (index.html, 404.html) and the navbar targets on
+ * them, and follows internal links page by page. Every page and resource the
+ * links lead to is a node of the graph; the result tells which pages nothing
+ * reachable links to (orphans), which PDFs and images no reachable page uses,
+ * and which draft pages can still be reached although `draft-mode: unlinked`
+ * is meant to hide them. The graph can be written as JSON or Graphviz DOT.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { readRenderGlobs, findSourceFile } from './sources.js';
+import { getFrontMatter, readYamlValues } from '../lib/front-matter.js';
+
+export const GRAPH_FORMATS = ['json', 'dot'];
+
+// Convert an absolute path in the site to a site-relative one with forward slashes
+function toSitePath(file, siteDir) {
+  return path.relative(siteDir, file).split(path.sep).join('/');
+}
+
+// List every file in the site (site-relative paths), leaving out ignored ones
+function listSiteFiles(siteDir, ignorePatterns) {
+  const files = [];
+
+  const walk = dir => {
+    for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, item.name);
+      const sitePath = toSitePath(fullPath, siteDir);
+      if (ignorePatterns.some(pattern => pattern.test(sitePath))) {
+        continue;
+      }
+      if (item.isDirectory()) {
+        walk(fullPath);
+      } else {
+        files.push(sitePath);
+      }
+    }
+  };
+
+  walk(siteDir);
+  return files;
+}
+
+// What kind of page an HTML file is: a draft, a redirect (Quarto aliases), an
+// HTML fragment copied as a resource (e.g. an include), or a regular page
+function getPageKind(html, page, projectRoot, globs) {
+  if (!/<html[\s>]/i.test(html)) {
+    return 'fragment';
+  }
+
+  const $ = cheerio.load(html);
+  if ($('meta[http-equiv="refresh"]').length > 0) {
+    return 'redirect';
+  }
+  if ($('meta[name="quarto:status"]').attr('content') === 'draft') {
+    return 'draft';
+  }
+
+  const sourceFile = findSourceFile(page, projectRoot, globs);
+  const frontMatter = sourceFile ? getFrontMatter(fs.readFileSync(sourceFile, 'utf8')) : '';
+  return readYamlValues(frontMatter, 'draft').includes('true') ? 'draft' : 'page';
+}
+
+// Crawl the site and build its reachability graph
+// `getLinks(htmlFile)` returns a page's links ({ href, element, attribute }), and
+// `resolveTarget(href, htmlFile)` the absolute path of the site file a link points
+// at (or null for external and broken links)
+// Returns { entryPoints, nodes: Map(sitePath -> node), edges }
+export function buildSiteGraph(siteDir, { projectRoot, entryPoints, ignorePatterns, resourceExtensions, getLinks, resolveTarget }) {
+  const ignored = ignorePatterns.map(pattern => new RegExp(pattern));
+  const globs = readRenderGlobs(projectRoot);
+  const nodes = new Map();
+  const edges = [];
+
+  const getNode = sitePath => {
+    if (!nodes.has(sitePath)) {
+      const file = path.join(siteDir, sitePath);
+      const kind = sitePath.endsWith('.html') && fs.existsSync(file)
+        ? getPageKind(fs.readFileSync(file, 'utf8'), sitePath, projectRoot, globs)
+        : 'resource';
+      nodes.set(sitePath, { id: sitePath, kind, depth: null, linkedFrom: new Set() });
+    }
+    return nodes.get(sitePath);
+  };
+
+  // Every page and resource of the site is a node, linked to or not
+  for (const sitePath of listSiteFiles(siteDir, ignored)) {
+    if (sitePath.endsWith('.html') || resourceExtensions.includes(path.extname(sitePath).toLowerCase())) {
+      getNode(sitePath);
+    }
+  }
+
+  // Entry points and the navbar targets on them start the crawl
+  const queue = [];
+  const visit = (sitePath, depth) => {
+    const node = getNode(sitePath);
+    if (node.depth === null) {
+      node.depth = depth;
+      queue.push(node);
+    }
+  };
+  const entries = entryPoints.filter(entry => fs.existsSync(path.join(siteDir, entry)));
+  for (const entry of entries) {
+    visit(entry, 0);
+    const entryFile = path.join(siteDir, entry);
+    const $ = cheerio.load(fs.readFileSync(entryFile, 'utf8'));
+    $('#quarto-header a[href], nav.navbar a[href]').each((_, el) => {
+      const target = resolveTarget($(el).attr('href'), entryFile);
+      const sitePath = target && toSitePath(target, siteDir);
+      if (sitePath && !ignored.some(pattern => pattern.test(sitePath))) {
+        visit(sitePath, 0);
+      }
+    });
+  }
+
+  // Breadth first, so each node's depth is its shortest click distance
+  // Unreached pages are crawled afterwards, to record what they link to
+  const crawled = new Set();
+  const crawl = node => {
+    crawled.add(node.id);
+    if (!node.id.endsWith('.html') || node.kind === 'fragment') {
+      return;
+    }
+
+    const htmlFile = path.join(siteDir, node.id);
+    for (const link of getLinks(htmlFile)) {
+      const target = resolveTarget(link.href, htmlFile);
+      const sitePath = target && toSitePath(target, siteDir);
+      if (!sitePath || sitePath === node.id || ignored.some(pattern => pattern.test(sitePath))) {
+        continue;
+      }
+
+      edges.push({ from: node.id, to: sitePath, href: link.href, element: link.element, attribute: link.attribute });
+      getNode(sitePath).linkedFrom.add(node.id);
+      if (node.depth !== null) {
+        visit(sitePath, node.depth + 1);
+      }
+    }
+  };
+  while (queue.length > 0) {
+    crawl(queue.shift());
+  }
+  for (const node of [...nodes.values()].filter(node => !crawled.has(node.id))) {
+    crawl(node);
+  }
+
+  return { entryPoints: entries, nodes, edges };
+}
+
+// Whether a node is reached from the entry points
+function isReachable(node) {
+  return node.depth !== null;
+}
+
+// Problems found by the crawl, as checker results with the pages that link to them
+// Orphan pages and unreferenced resources (of the given extensions) are warnings,
+// reachable drafts errors
+export function analyzeSiteGraph(graph, resourceExtensions) {
+  const problems = [];
+  const result = (node, fields) => ({
+    href: node.id,
+    key: node.id,
+    source: node.id,
+    // A reachable draft is linked from reachable pages; an orphan only from unreachable ones
+    sources: [...node.linkedFrom].filter(from => isReachable(graph.nodes.get(from)) === isReachable(node)),
+    ...fields
+  });
+
+  for (const node of graph.nodes.values()) {
+    if (node.kind === 'draft' && isReachable(node)) {
+      problems.push(result(node, {
+        element: 'page', attribute: 'file', type: 'error', category: 'reachable-draft',
+        reason: `Draft page is linked from a published page (${node.depth} click(s) from ${graph.entryPoints.join(' or ')})`
+      }));
+    } else if (node.kind === 'page' && !isReachable(node)) {
+      problems.push(result(node, {
+        element: 'page', attribute: 'file', type: 'warning', category: 'orphan-page',
+        reason: node.linkedFrom.size > 0
+          ? 'Only linked from pages that are themselves unreachable'
+          : 'Not linked from any page'
+      }));
+    } else if (node.kind === 'resource' && !isReachable(node) &&
+        resourceExtensions.includes(path.extname(node.id).toLowerCase())) {
+      problems.push(result(node, {
+        element: 'resource', attribute: 'file', type: 'warning', category: 'unreferenced-resource',
+        reason: node.linkedFrom.size > 0
+          ? 'Only used by pages that are unreachable'
+          : 'Not used by any page'
+      }));
+    }
+  }
+
+  return problems;
+}
+
+// The graph as plain data, nodes sorted by path
+function toGraphData(graph, siteDir) {
+  const nodes = [...graph.nodes.values()]
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map(node => ({ id: node.id, kind: node.kind, reachable: isReachable(node), depth: node.depth }));
+  return {
+    generatedAt: new Date().toISOString(),
+    siteDir,
+    entryPoints: graph.entryPoints,
+    nodes,
+    edges: graph.edges.map(({ from, to, element, attribute }) => ({ from, to, element, attribute }))
+  };
+}
+
+function escapeDot(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+// Graphviz DOT: resources are boxes, unreachable nodes dashed, drafts red
+function formatGraphDot(data) {
+  const lines = ['digraph site {', '  rankdir=LR;', '  node [shape=ellipse, fontsize=10];'];
+
+  for (const node of data.nodes) {
+    const attrs = [`label="${escapeDot(node.id)}"`];
+    if (node.kind === 'resource') {
+      attrs.push('shape=box');
+    }
+    if (!node.reachable) {
+      attrs.push('style=dashed');
+    }
+    if (node.kind === 'draft') {
+      attrs.push('color=red');
+    }
+    if (data.entryPoints.includes(node.id)) {
+      attrs.push('peripheries=2');
+    }
+    lines.push(`  "${escapeDot(node.id)}" [${attrs.join(', ')}];`);
+  }
+
+  // One edge per linked pair, however often the link appears on the page
+  const pairs = new Set(data.edges.map(edge => `  "${escapeDot(edge.from)}" -> "${escapeDot(edge.to)}";`));
+  lines.push(...pairs, '}');
+  return lines.join('\n') + '\n';
+}
+
+// Write the graph as JSON or DOT, returning the path it was written to
+export function writeSiteGraph(format, outputPath, graph, siteDir) {
+  const data = toGraphData(graph, siteDir);
+  const content = format === 'dot' ? formatGraphDot(data) : JSON.stringify(data, null, 2) + '\n';
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, content);
+  return outputPath;
+}
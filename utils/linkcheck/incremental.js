@@ -0,0 +1,69 @@
+/**
+ * Incremental link checking
+ *
+ * Hashes the link set (and anchors) of every rendered page and keeps the hashes
+ * between runs, so the checker can skip pages that haven't changed since they
+ * last passed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const STATE_VERSION = 1;
+
+// Load stored page hashes, starting fresh if the file is missing or unreadable
+export function loadPageState(statePath) {
+  const state = { path: statePath, pages: {} };
+
+  if (!statePath || !fs.existsSync(statePath)) {
+    return state;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    if (data.version === STATE_VERSION && data.pages) {
+      state.pages = data.pages;
+    }
+  } catch (e) {
+    console.error(`Warning: Could not read page state, checking all pages: ${e.message}`);
+  }
+
+  return state;
+}
+
+// Hash a page's extracted links and anchors (order-independent)
+export function hashPage(links, anchors) {
+  const linkSet = [...new Set(links.map(link => `${link.element} ${link.attribute} ${link.href}`))].sort();
+  const anchorSet = [...(anchors || [])].sort();
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ links: linkSet, anchors: anchorSet }))
+    .digest('hex');
+}
+
+export function isPageUnchanged(state, page, hash) {
+  return state.pages[page] === hash;
+}
+
+// Remember a page's hash, or forget it so the page is checked again next run
+export function setPageHash(state, page, hash) {
+  if (hash) {
+    state.pages[page] = hash;
+  } else {
+    delete state.pages[page];
+  }
+}
+
+export function savePageState(state) {
+  if (!state.path) {
+    return;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(state.path), { recursive: true });
+    fs.writeFileSync(state.path, JSON.stringify({ version: STATE_VERSION, pages: state.pages }, null, 2));
+  } catch (e) {
+    console.error(`Warning: Could not write page state: ${e.message}`);
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Probe-based soft 404 detection
+ *
+ * Many sites answer a dead URL with 200 and a generic page: a "not found"
+ * template, their homepage, or an empty JavaScript shell. Heading patterns miss
+ * the last two and flag real pages that happen to mention "not found", so each
+ * host is asked once for a random path that cannot exist. If it answers that
+ * with an error status it is honest about dead URLs; if it answers with a page,
+ * that page is fingerprinted (status, final URL, visible text, element
+ * structure) and checked pages that look nearly the same are soft 404s.
+ *
+ * Pages the probe doesn't flag still go through the `softNotFoundPatterns` check,
+ * which catches "not found" pages that look unlike the probe's answer, and covers
+ * hosts that can't be probed (timeouts, bot detection, non-HTML answers).
+ */
+
+import crypto from 'crypto';
+import * as cheerio from 'cheerio';
+
+// Elements that carry no visible text
+const NON_CONTENT = 'script, style, noscript, template, svg';
+
+// Count the items of a list
+function countItems(items) {
+  const counts = new Map();
+  for (const item of items) {
+    counts.set(item, (counts.get(item) || 0) + 1);
+  }
+  return counts;
+}
+
+// Similarity of two item counts from 0 to 1 (shared items over all items)
+function compareCounts(a, b) {
+  let shared = 0;
+  let total = 0;
+  for (const key of new Set([...a.keys(), ...b.keys()])) {
+    shared += Math.min(a.get(key) || 0, b.get(key) || 0);
+    total += Math.max(a.get(key) || 0, b.get(key) || 0);
+  }
+  return total === 0 ? 1 : shared / total;
+}
+
+function decodePath(pathname) {
+  try {
+    return decodeURIComponent(pathname);
+  } catch {
+    return pathname;
+  }
+}
+
+// Fingerprint a page: its status and final URL, the words of its visible text and
+// its parent>child element pairs. Parts of the requested path are left out of the
+// text, as error pages often repeat the URL they could not find.
+export function fingerprintPage({ url, status, finalUrl, body }) {
+  const $ = cheerio.load(body);
+  $(NON_CONTENT).remove();
+
+  let text = $('body').text().toLowerCase();
+  for (const segment of decodePath(new URL(url).pathname).toLowerCase().split('/')) {
+    if (segment.length > 2) {
+      text = text.split(segment).join(' ');
+    }
+  }
+
+  const pairs = [];
+  $('body *').each((_, el) => {
+    pairs.push(`${el.parent.name}>${el.name}`);
+  });
+
+  return {
+    status,
+    finalUrl,
+    words: countItems(text.split(/[^\p{L}\p{N}]+/u).filter(Boolean)),
+    structure: countItems(pairs)
+  };
+}
+
+// How alike two fingerprints are, from 0 to 1: the lower of the text and structure
+// similarities, so both have to match
+export function compareFingerprints(a, b) {
+  if (Math.floor(a.status / 100) !== Math.floor(b.status / 100)) {
+    return 0;
+  }
+  return Math.min(compareCounts(a.words, b.words), compareCounts(a.structure, b.structure));
+}
+
+// A URL on the same host that cannot exist
+function getProbeUrl(url) {
+  return `${new URL(url).origin}/linkcheck-${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// Strip the fragment and a trailing slash, so equal final URLs compare equal
+function normalizeUrl(url) {
+  return url.split('#')[0].replace(/\/$/, '');
+}
+
+// Whether a URL is its host's homepage (the origin root, ignoring query and fragment)
+function isOriginRoot(url) {
+  return new URL(url).pathname === '/';
+}
+
+// Create the probes for one run
+// `fetchPage(url)` fetches a URL following redirects and resolves to { response, chain }
+// Each host is probed once, when the first of its pages is compared
+export function createNotFoundProbes(config, fetchPage) {
+  const probes = new Map();
+
+  // Fetch and fingerprint the host's answer for a nonexistent path
+  // Resolves to { honest: true } for an error status, { fingerprint }, or null if unknown
+  async function probe(url) {
+    const probeUrl = getProbeUrl(url);
+    try {
+      const { response, chain, loop, tooManyRedirects } = await fetchPage(probeUrl);
+      const contentType = response.headers.get('content-type') || '';
+      if (loop || tooManyRedirects || [403, 429, 503].includes(response.status)) {
+        await response.arrayBuffer().catch(() => {});
+        return null;
+      }
+      if (response.status >= 400) {
+        await response.arrayBuffer().catch(() => {});
+        return { honest: true };
+      }
+      if (!contentType.includes('text/html')) {
+        await response.arrayBuffer().catch(() => {});
+        return null;
+      }
+
+      const finalUrl = chain.length > 0 ? chain[chain.length - 1].location : probeUrl;
+      const body = await response.text();
+      return { redirected: chain.length > 0, fingerprint: fingerprintPage({ url: probeUrl, status: response.status, finalUrl, body }) };
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    // Whether a fetched HTML page is the host's answer for dead URLs
+    // `page` is { url, status, finalUrl, body }. Resolves to { notFound, reason },
+    // or null if the host could not be probed
+    async check(page) {
+      if (!config.softNotFoundProbe) {
+        return null;
+      }
+
+      const origin = new URL(page.url).origin;
+      if (!probes.has(origin)) {
+        probes.set(origin, probe(page.url));
+      }
+      const result = await probes.get(origin);
+      if (!result) {
+        return null;
+      }
+      if (result.honest) {
+        return { notFound: false };
+      }
+
+      // Dead URLs are all answered with one page (often the homepage, redirected to or
+      // served in place); linking to that page itself is fine
+      const { fingerprint } = result;
+      if (isOriginRoot(page.url) || normalizeUrl(page.url) === normalizeUrl(fingerprint.finalUrl)) {
+        return { notFound: false };
+      }
+      const sameTarget = normalizeUrl(page.finalUrl) === normalizeUrl(fingerprint.finalUrl);
+      if (result.redirected && sameTarget) {
+        return { notFound: true, reason: `Soft 404 (redirects to ${fingerprint.finalUrl}, like a nonexistent URL on this host)` };
+      }
+
+      const similarity = compareFingerprints(fingerprintPage(page), fingerprint);
+      if (similarity >= config.softNotFoundSimilarity && !sameTarget) {
+        return { notFound: true, reason: `Soft 404 (${Math.round(similarity * 100)}% similar to this host's page for a nonexistent URL)` };
+      }
+      return { notFound: false };
+    }
+  };
+}
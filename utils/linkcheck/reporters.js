@@ -0,0 +1,214 @@
+/**
+ * Machine-readable link check reports
+ *
+ * Formats the checker results as JSON (for scripts), JUnit XML (for test-report
+ * viewers, one testcase per checked link) or Markdown (to paste into an issue).
+ * Known failures from the baseline are kept apart and don't count as errors, and
+ * dead links list their archived copy (if one was looked up) as a replacement.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const REPORT_FORMATS = {
+  json: { extension: '.json', label: 'JSON' },
+  junit: { extension: '.xml', label: 'JUnit XML' },
+  markdown: { extension: '.md', label: 'Markdown' }
+};
+
+// Human-readable headings for each result category, in report order
+const CATEGORY_TITLES = {
+  broken: '❌ Broken links',
+  'redirect-loop': '🔁 Redirect loops',
+  fragment: '🔖 Missing anchors',
+  'missing-citation': '📝 Missing citations',
+  'missing-bibliography': '📝 Missing bibliography files',
+  'reachable-draft': '📝 Reachable drafts',
+  moved: '↪️ Permanently moved',
+  'unused-entry': '📚 Unused bibliography entries',
+  'orphan-page': '🏝️ Orphan pages',
+  'unreferenced-resource': '📦 Unreferenced resources',
+  'stale-baseline': '🗓️ Baseline entries to renew or remove',
+  unverified: '⚠️ Could not verify'
+};
+
+// Category of a result: explicit (e.g. 'fragment') or derived from its type
+function getCategory(link) {
+  if (link.category) {
+    return link.category;
+  }
+  return link.type === 'error' ? 'broken' : 'unverified';
+}
+
+// Build the report data shared by all formats
+// `checked` is every unique link that was checked, `results` the errors and warnings
+export function buildReport({ siteDir, checked, results, seen }) {
+  const links = results.map(link => ({
+    key: link.key,
+    href: link.href,
+    element: link.element,
+    attribute: link.attribute,
+    type: link.type,
+    category: getCategory(link),
+    status: link.status ?? null,
+    reason: link.reason,
+    redirects: link.redirects || [],
+    finalUrl: link.finalUrl ?? null,
+    movedTo: link.movedTo ?? null,
+    archive: link.archive ?? null,
+    identifier: link.identifier ?? null,
+    sources: seen.get(link.key) || [link.source],
+    locations: (link.locations || []).map(({ file, line }) => ({ file, line })),
+    templateLevel: Boolean(link.templateLevel),
+    baseline: link.baselined ?? null
+  }));
+  const current = links.filter(link => !link.baseline);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    siteDir,
+    summary: {
+      checked: checked.length,
+      errors: current.filter(link => link.type === 'error').length,
+      warnings: current.filter(link => link.type === 'warning').length,
+      baselined: links.length - current.length
+    },
+    links,
+    checked: checked.map(link => ({ href: link.href, key: link.key, sources: seen.get(link.key) || [link.source] }))
+  };
+}
+
+// Dedup keys and the full list of checked links are only needed for JUnit output
+export function formatJson(report) {
+  const { checked, links, ...rest } = report;
+  const output = { ...rest, links: links.map(({ key, ...link }) => link) };
+  return JSON.stringify(output, null, 2) + '\n';
+}
+
+// Source lines of a link, e.g. "posts/foo/index.qmd:12", or a note that it comes from the template
+function formatSource(link) {
+  const locations = link.locations.map(({ file, line }) => `${file}:${line}`);
+  if (link.templateLevel) {
+    return ['template-level', ...locations].join(', ');
+  }
+  return locations.join(', ') || 'unknown';
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// One testcase per checked link, plus one per result that isn't a checked link
+// (citation problems, unused entries, stale baseline entries, ...); errors are
+// failures, warnings and known failures from the baseline are skipped
+export function formatJunit(report) {
+  const resultsByKey = new Map(report.links.map(link => [link.key, link]));
+  const checkedKeys = new Set(report.checked.map(link => link.key));
+  const otherResults = report.links.filter(link => !checkedKeys.has(link.key));
+  const tests = report.checked.length + otherResults.length;
+  const skipped = report.summary.warnings + report.summary.baselined;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="link-check" tests="${tests}" failures="${report.summary.errors}" skipped="${skipped}">`,
+    `  <testsuite name="links" tests="${tests}" failures="${report.summary.errors}" skipped="${skipped}" timestamp="${report.generatedAt}">`
+  ];
+
+  for (const link of [...report.checked, ...otherResults]) {
+    const result = resultsByKey.get(link.key);
+    const attrs = `name="${escapeXml(link.href)}" classname="${escapeXml(link.sources[0] ?? link.href)}"`;
+
+    if (!result) {
+      lines.push(`    <testcase ${attrs}/>`);
+      continue;
+    }
+
+    lines.push(`    <testcase ${attrs}>`);
+    if (result.baseline) {
+      const note = result.baseline.reason === result.reason ? '' : ` (${result.baseline.reason})`;
+      lines.push(`      <skipped message="${escapeXml(`Known failure until ${result.baseline.expires}${note}: ${result.reason}`)}"/>`);
+    } else if (result.type === 'error') {
+      lines.push(`      <failure type="${result.category}" message="${escapeXml(result.reason)}"/>`);
+    } else {
+      lines.push(`      <skipped message="${escapeXml(result.reason)}"/>`);
+    }
+    const archive = result.archive ? `\nArchived copy: ${result.archive.url}` : '';
+    const details = `Element: <${result.element} ${result.attribute}>\nFound in: ${result.sources.join(', ')}\nSource: ${formatSource(result)}${archive}`;
+    lines.push(`      <system-out>${escapeXml(details)}</system-out>`);
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+// Absolute URLs become autolinks, site-relative links are shown as code
+function formatMarkdownLink(href) {
+  return /^https?:\/\//.test(href) ? `<${href}>` : `\`${href}\``;
+}
+
+// The reason a link is reported, with its archived copy as the suggested replacement
+function formatMarkdownReason(link) {
+  return link.archive ? `${link.reason}; archived copy: <${link.archive.url}>` : link.reason;
+}
+
+export function formatMarkdown(report) {
+  const { summary } = report;
+  const lines = [
+    '## Link check report',
+    '',
+    `Checked ${summary.checked} unique link(s): ${summary.errors} error(s), ${summary.warnings} warning(s)` +
+      (summary.baselined > 0 ? `, ${summary.baselined} known failure(s) from the baseline.` : '.')
+  ];
+
+  if (summary.errors + summary.warnings === 0) {
+    lines.push('', '✅ No broken links found!');
+  }
+
+  const table = (title, links) => {
+    lines.push('', `### ${title} (${links.length})`, '', '| Link | Element | Reason | Source | Found in |', '| --- | --- | --- | --- | --- |');
+    for (const link of links) {
+      const sources = link.sources.map(source => `\`${source}\``).join(', ');
+      lines.push(`| ${escapeMarkdownCell(formatMarkdownLink(link.href))} | \`<${link.element} ${link.attribute}>\` | ${escapeMarkdownCell(formatMarkdownReason(link))} | ${escapeMarkdownCell(formatSource(link))} | ${escapeMarkdownCell(sources)} |`);
+    }
+  };
+
+  for (const [category, title] of Object.entries(CATEGORY_TITLES)) {
+    const links = report.links.filter(link => link.category === category && !link.baseline);
+    if (links.length > 0) {
+      table(title, links);
+    }
+  }
+
+  // Known failures last, with the baseline's reason and expiry
+  const baselined = report.links
+    .filter(link => link.baseline)
+    .map(link => ({ ...link, reason: `${link.reason} (known: ${link.baseline.reason}; until ${link.baseline.expires})` }));
+  if (baselined.length > 0) {
+    table('📌 Known failures (baseline)', baselined);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+const FORMATTERS = {
+  json: formatJson,
+  junit: formatJunit,
+  markdown: formatMarkdown
+};
+
+// Write a report in the given format, returning the path it was written to
+export function writeReport(format, outputPath, report) {
+  const content = FORMATTERS[format](report);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, content);
+  return outputPath;
+}
@@ -0,0 +1,152 @@
+/**
+ * Identifier-aware validation for scholarly links
+ *
+ * doi.org, arxiv.org, osf.io/psyarxiv.com and biorxiv.org landing pages often
+ * sit behind bot walls or soft redirects. For links to these hosts we extract
+ * the identifier (DOI, arXiv id, OSF guid, bioRxiv DOI) and look it up in the
+ * registry's metadata API instead. Endpoints come from the `resolvers` config,
+ * with `{id}` (and `{server}` for bioRxiv/medRxiv) filled in, so a local mock
+ * server can stand in for them.
+ */
+
+const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+const ARXIV_PATTERN = /^(\d{4}\.\d{4,5}|[a-z-]+(\.[A-Z]{2})?\/\d{7})(v\d+)?$/;
+const OSF_GUID_PATTERN = /^[a-z0-9]{5}(_v\d+)?$/;
+
+function hostMatches(hostname, domains) {
+  return domains.some(domain => hostname === domain || hostname === `www.${domain}`);
+}
+
+// Decode part of a URL path, keeping it as it is if its percent-encoding is malformed
+function decode(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    return part;
+  }
+}
+
+function pathSegments(url) {
+  return url.pathname.split('/').filter(Boolean).map(decode);
+}
+
+const RESOLVERS = {
+  doi: {
+    label: 'DOI',
+    match(url) {
+      if (!hostMatches(url.hostname, ['doi.org', 'dx.doi.org'])) {
+        return null;
+      }
+      const id = decode(url.pathname.slice(1));
+      return DOI_PATTERN.test(id) ? { id } : null;
+    },
+    // Handle API: 200 for registered DOIs, 404 (responseCode 100) for unknown ones
+    interpret(status) {
+      if (status === 200) {
+        return true;
+      }
+      return status === 404 ? false : null;
+    }
+  },
+
+  arxiv: {
+    label: 'arXiv',
+    match(url) {
+      if (!hostMatches(url.hostname, ['arxiv.org', 'export.arxiv.org'])) {
+        return null;
+      }
+      const [kind, ...rest] = pathSegments(url);
+      const id = rest.join('/').replace(/\.pdf$/, '');
+      return ['abs', 'pdf'].includes(kind) && ARXIV_PATTERN.test(id) ? { id } : null;
+    },
+    // The query API answers 200 either way; unknown ids come back as an error entry
+    interpret(status, body) {
+      if (status !== 200) {
+        return null;
+      }
+      return body.includes('<entry>') && !body.includes('arxiv.org/api/errors');
+    }
+  },
+
+  osf: {
+    label: 'OSF',
+    match(url) {
+      const segments = pathSegments(url);
+      let guid = null;
+
+      if (hostMatches(url.hostname, ['psyarxiv.com'])) {
+        guid = segments[0];
+      } else if (hostMatches(url.hostname, ['osf.io'])) {
+        // osf.io/abcde, osf.io/abcde/files, osf.io/preprints/psyarxiv/abcde
+        guid = segments[0] === 'preprints' ? segments[2] : segments[0];
+      }
+
+      return guid && OSF_GUID_PATTERN.test(guid) ? { id: guid } : null;
+    },
+    interpret(status) {
+      if (status === 200) {
+        return true;
+      }
+      return status === 404 || status === 410 ? false : null;
+    }
+  },
+
+  biorxiv: {
+    label: 'bioRxiv',
+    match(url) {
+      const server = ['biorxiv', 'medrxiv'].find(name => hostMatches(url.hostname, [`${name}.org`]));
+      const segments = pathSegments(url);
+      if (!server || segments[0] !== 'content' || segments[1] !== '10.1101' || !segments[2]) {
+        return null;
+      }
+      // content/10.1101/2020.01.01.123456v2.full.pdf -> 10.1101/2020.01.01.123456
+      const suffix = segments[2].replace(/(\.full|\.abstract|\.pdf|\.full-text)+$/, '').replace(/v\d+$/, '');
+      return { id: `10.1101/${suffix}`, server };
+    },
+    // The details API answers 200 either way; unknown DOIs have an empty collection
+    interpret(status, body) {
+      if (status !== 200) {
+        return null;
+      }
+      try {
+        const data = JSON.parse(body);
+        return Array.isArray(data.collection) && data.collection.length > 0;
+      } catch {
+        return null;
+      }
+    }
+  }
+};
+
+// Find a scholarly identifier in a URL, using only the resolvers enabled in config
+// Returns { type, label, id, endpoint } or null
+export function findIdentifier(href, config) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch {
+    return null;
+  }
+
+  for (const [type, resolver] of Object.entries(RESOLVERS)) {
+    const resolverConfig = config.resolvers?.[type];
+    if (!resolverConfig?.endpoint) {
+      continue;
+    }
+
+    const match = resolver.match(url);
+    if (match) {
+      const endpoint = resolverConfig.endpoint
+        .replace('{id}', encodeURIComponent(match.id).replace(/%2F/gi, '/'))
+        .replace('{server}', match.server || '');
+      return { type, label: resolver.label, id: match.id, endpoint };
+    }
+  }
+
+  return null;
+}
+
+// Interpret a registry response: true (exists), false (unknown), null (inconclusive)
+export function interpretRegistryResponse(identifier, status, body) {
+  return RESOLVERS[identifier.type].interpret(status, body);
+}
@@ -0,0 +1,123 @@
+/**
+ * Per-host politeness scheduler for external checks
+ *
+ * Limits the number of in-flight requests and enforces a minimum delay between
+ * requests to each hostname, so a page full of doi.org or github.com links
+ * doesn't hit a single server with a burst. Hosts can also be paused, e.g. to
+ * honour a Retry-After header.
+ */
+
+// Find the limits for a hostname: the most specific `hostLimits` entry, else the defaults
+export function getHostLimits(hostname, config) {
+  let match = null;
+
+  for (const domain of Object.keys(config.hostLimits || {})) {
+    if (hostname === domain || hostname.endsWith(`.${domain}`)) {
+      if (!match || domain.length > match.length) {
+        match = domain;
+      }
+    }
+  }
+
+  return {
+    concurrency: config.hostConcurrency,
+    minDelay: config.hostMinDelay,
+    ...(match ? config.hostLimits[match] : {})
+  };
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createHostScheduler(config) {
+  const hosts = new Map();
+
+  function getHost(url) {
+    const hostname = getHostname(url);
+    if (!hosts.has(hostname)) {
+      hosts.set(hostname, {
+        limits: getHostLimits(hostname, config),
+        pending: 0,
+        inFlight: 0,
+        nextStart: 0,
+        waiters: []
+      });
+    }
+    return hosts.get(hostname);
+  }
+
+  // Wake the next waiter once a slot frees up
+  function release(host) {
+    host.inFlight--;
+    host.pending--;
+    const next = host.waiters.shift();
+    if (next) {
+      next();
+    }
+  }
+
+  return {
+    // Whether another request to this URL's host could start without queueing
+    hasCapacity(url) {
+      const host = getHost(url);
+      return host.pending < host.limits.concurrency;
+    },
+
+    // Run `task` once the host has a free slot and its minimum delay has passed
+    async schedule(url, task) {
+      const host = getHost(url);
+      host.pending++;
+
+      while (host.inFlight >= host.limits.concurrency) {
+        await new Promise(resolve => host.waiters.push(resolve));
+      }
+      host.inFlight++;
+
+      // Reserve a start time so concurrent requests are spaced out too
+      const now = Date.now();
+      const start = Math.max(now, host.nextStart);
+      host.nextStart = start + host.limits.minDelay;
+      if (start > now) {
+        await sleep(start - now);
+      }
+
+      try {
+        return await task();
+      } finally {
+        release(host);
+      }
+    },
+
+    // Hold off all requests to this URL's host for `ms` milliseconds
+    pause(url, ms) {
+      const host = getHost(url);
+      host.nextStart = Math.max(host.nextStart, Date.now() + ms);
+    }
+  };
+}
+
+// Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff delay for a retry attempt (0-based), capped at maxRetryDelay
+export function getBackoffDelay(attempt, config) {
+  return Math.min(config.retryBaseDelay * 2 ** attempt, config.maxRetryDelay);
+}
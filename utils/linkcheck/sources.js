@@ -0,0 +1,280 @@
+/**
+ * Map rendered pages back to their source documents
+ *
+ * Quarto renders `posts/2024/foo/index.qmd` to `_site/posts/2024/foo/index.html`,
+ * so the source of a page can be found by swapping the extension for one the
+ * project renders (`project: render:` globs in `_quarto.yml`). Links are then
+ * located in the source by line, whether written as markdown links, autolinks,
+ * reference definitions, raw HTML or bare URLs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// What Quarto renders when `project: render:` is not set
+const DEFAULT_RENDER_GLOBS = ['**/*.qmd', '**/*.md', '**/*.Rmd', '**/*.ipynb'];
+
+// Characters that may surround a link in markdown or HTML source
+const LINK_START = `(?:^|[\\s(<\\["'=])`;
+const LINK_END = `(?=$|[\\s)>\\]"'.,;:!?*_|}])`;
+
+// Read the `project: render:` list from _quarto.yml (a minimal reader, not a YAML parser)
+export function readRenderGlobs(projectRoot) {
+  const configPath = path.join(projectRoot, '_quarto.yml');
+  if (!fs.existsSync(configPath)) {
+    return DEFAULT_RENDER_GLOBS;
+  }
+
+  const lines = fs.readFileSync(configPath, 'utf8').split('\n');
+  const globs = [];
+  let inProject = false;
+  let renderIndent = null;
+
+  for (const line of lines) {
+    const indent = line.search(/\S/);
+    if (indent === -1) {
+      continue;
+    }
+
+    if (indent === 0) {
+      inProject = /^project:/.test(line);
+      renderIndent = null;
+    } else if (inProject && renderIndent === null && /^\s+render:\s*$/.test(line)) {
+      renderIndent = indent;
+    } else if (renderIndent !== null) {
+      const item = line.match(/^\s+-\s*["']?([^"']+?)["']?\s*$/);
+      if (indent <= renderIndent || !item) {
+        renderIndent = null;
+      } else {
+        globs.push(item[1]);
+      }
+    }
+  }
+
+  return globs.length > 0 ? globs : DEFAULT_RENDER_GLOBS;
+}
+
+// Convert a render glob into a regular expression over project-relative paths
+function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\//g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '(?:.*/)?');
+  return new RegExp(`^${pattern}$`);
+}
+
+// Whether a project-relative path is rendered, according to the render globs
+export function isRendered(relativePath, globs) {
+  const includes = globs.filter(glob => !glob.startsWith('!'));
+  const excludes = globs.filter(glob => glob.startsWith('!')).map(glob => glob.slice(1));
+  return includes.some(glob => globToRegExp(glob).test(relativePath)) &&
+    !excludes.some(glob => globToRegExp(glob).test(relativePath));
+}
+
+// File extensions named by the render globs, e.g. ['.qmd']
+export function getSourceExtensions(globs) {
+  const extensions = globs
+    .filter(glob => !glob.startsWith('!'))
+    .map(glob => path.extname(glob))
+    .filter(Boolean);
+  return [...new Set(extensions)];
+}
+
+// Find the source document of a rendered page (relative to the site directory)
+export function findSourceFile(page, projectRoot, globs = readRenderGlobs(projectRoot)) {
+  const base = page.replace(/\.html$/, '');
+
+  for (const extension of getSourceExtensions(globs)) {
+    const relativePath = base + extension;
+    if (isRendered(relativePath, globs) && fs.existsSync(path.join(projectRoot, relativePath))) {
+      return path.join(projectRoot, relativePath);
+    }
+  }
+
+  return null;
+}
+
+// Read `site-url` from _quarto.yml, with a trailing slash (null if not set)
+export function readSiteUrl(projectRoot) {
+  const configPath = path.join(projectRoot, '_quarto.yml');
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+  const match = fs.readFileSync(configPath, 'utf8').match(/^\s*site-url:\s*["']?([^"'\s]+)["']?\s*$/m);
+  return match ? match[1].replace(/\/?$/, '/') : null;
+}
+
+// Decode a URL path, keeping it as it is if its percent-encoding is malformed
+function decodePath(urlPath) {
+  try {
+    return decodeURIComponent(urlPath);
+  } catch {
+    return urlPath;
+  }
+}
+
+// The file in the site directory an absolute site URL is served from (relative path), or null
+// Clean URLs are resolved the way static hosts do: `foo/` to foo/index.html, `foo` to foo.html
+export function findSiteFile(url, siteUrl, siteDir) {
+  if (!siteUrl || !url.startsWith(siteUrl)) {
+    return null;
+  }
+
+  const urlPath = decodePath(url.slice(siteUrl.length).replace(/[?#].*$/, ''));
+  const candidates = urlPath === '' || urlPath.endsWith('/')
+    ? [`${urlPath}index.html`]
+    : [urlPath, `${urlPath}.html`, `${urlPath}/index.html`];
+
+  return candidates.find(candidate => fs.existsSync(path.join(siteDir, candidate)) &&
+    fs.statSync(path.join(siteDir, candidate)).isFile()) || null;
+}
+
+// Directories that never hold source documents
+const IGNORED_DIRS = ['node_modules', 'renv', '_site', '_freeze'];
+
+// List every source document the project renders (absolute paths)
+export function findSourceDocuments(projectRoot, globs = readRenderGlobs(projectRoot)) {
+  const documents = [];
+  const extensions = getSourceExtensions(globs);
+
+  const walk = dir => {
+    for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, item.name);
+      if (item.isDirectory()) {
+        if (!item.name.startsWith('.') && !IGNORED_DIRS.includes(item.name)) {
+          walk(fullPath);
+        }
+      } else if (extensions.includes(path.extname(item.name)) &&
+          isRendered(path.relative(projectRoot, fullPath).split(path.sep).join('/'), globs)) {
+        documents.push(fullPath);
+      }
+    }
+  };
+
+  walk(projectRoot);
+  return documents;
+}
+
+// Project and directory metadata that apply to a source file (_quarto.yml, _metadata.yml)
+export function findConfigFiles(sourceDir, projectRoot) {
+  const files = [];
+  let dir = sourceDir;
+
+  while (dir.startsWith(projectRoot)) {
+    const metadataPath = path.join(dir, '_metadata.yml');
+    if (fs.existsSync(metadataPath)) {
+      files.push(metadataPath);
+    }
+    if (dir === projectRoot) {
+      break;
+    }
+    dir = path.dirname(dir);
+  }
+
+  const projectConfig = path.join(projectRoot, '_quarto.yml');
+  if (fs.existsSync(projectConfig)) {
+    files.push(projectConfig);
+  }
+  return files;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Ways a rendered href may be written in the source of `page`: as is, pointing at
+// the source document instead of the rendered page (e.g. `../post/index.qmd#intro`),
+// or as a project-relative path (as in `_quarto.yml` navbar entries)
+function getHrefVariants(href, page, extensions) {
+  const variants = new Set([href]);
+
+  if (/^[a-z]+:/i.test(href) || href.startsWith('#')) {
+    return variants;
+  }
+
+  const [hrefPath, suffix = ''] = href.split(/(?=[#?])/);
+  const projectPath = hrefPath.startsWith('/')
+    ? hrefPath.slice(1)
+    : path.posix.join(path.posix.dirname(page.split(path.sep).join('/')), hrefPath);
+
+  for (const target of [hrefPath, projectPath, `/${projectPath}`]) {
+    variants.add(target + suffix);
+    for (const extension of extensions) {
+      if (target.endsWith('.html')) {
+        variants.add(target.replace(/\.html$/, extension) + suffix);
+      } else if (target.endsWith('/')) {
+        variants.add(`${target}index${extension}${suffix}`);
+      }
+    }
+  }
+
+  return variants;
+}
+
+// Find the lines of a file that contain a link written as any of `variants` (1-based line numbers)
+export function findUrlLines(file, variants) {
+  const patterns = [...variants]
+    .map(variant => new RegExp(LINK_START + escapeRegExp(variant) + LINK_END));
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const occurrences = [];
+
+  lines.forEach((text, index) => {
+    if (patterns.some(pattern => pattern.test(text))) {
+      occurrences.push({ line: index + 1, text });
+    }
+  });
+
+  return occurrences;
+}
+
+// Locate a link in the sources of the pages it was found on
+// Links that appear in none of those sources come from the site template (navbar,
+// footer, listings, ...); for those, matches in _quarto.yml/_metadata.yml are returned.
+export function locateLink(href, pages, projectRoot, globs = readRenderGlobs(projectRoot)) {
+  const extensions = getSourceExtensions(globs);
+  const locations = [];
+  const allVariants = new Set();
+  const configFiles = new Set(findConfigFiles(projectRoot, projectRoot));
+
+  for (const page of new Set(pages)) {
+    const variants = getHrefVariants(href, page, extensions);
+    variants.forEach(variant => allVariants.add(variant));
+
+    const sourceFile = findSourceFile(page, projectRoot, globs);
+    if (!sourceFile) {
+      continue;
+    }
+
+    for (const { line, text } of findUrlLines(sourceFile, variants)) {
+      locations.push({ file: path.relative(projectRoot, sourceFile), line, text });
+    }
+    for (const configFile of findConfigFiles(path.dirname(sourceFile), projectRoot)) {
+      configFiles.add(configFile);
+    }
+  }
+
+  if (locations.length > 0) {
+    return { locations, templateLevel: false };
+  }
+
+  for (const configFile of configFiles) {
+    for (const { line, text } of findUrlLines(configFile, allVariants)) {
+      locations.push({ file: path.relative(projectRoot, configFile), line, text });
+    }
+  }
+
+  return { locations, templateLevel: true };
+}
+
+// Replace a link in a line of source, leaving longer URLs that start with it alone
+export function replaceLink(text, href, replacement) {
+  const pattern = new RegExp(`(${LINK_START})${escapeRegExp(href)}${LINK_END}`, 'g');
+  return text.replace(pattern, (_, start) => start + replacement);
+}
+
+// Format a location as `path/to/index.qmd:LINE`
+export function formatLocation(location) {
+  return `${location.file}:${location.line}`;
+}
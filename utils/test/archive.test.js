@@ -0,0 +1,200 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { checkSite } from '../linkcheck/checker.js';
+import { buildArchivePatch } from '../linkcheck/archive.js';
+import { TEST_CONFIG, startServer, createProject, removeProject, page } from './helpers.js';
+
+// Snapshots the stub archive has, by path of the archived URL
+const SNAPSHOTS = {
+  '/gone': '20200101120000',
+  '/moved-on': '20240601000000'
+};
+
+let server;
+
+before(async () => {
+  // One server for the dead links and the availability API
+  server = await startServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/wayback/available') {
+      res.writeHead(404, { 'content-type': 'text/html' });
+      res.end('<html><body>Gone</body></html>');
+      return;
+    }
+
+    const archived = new URL(url.searchParams.get('url'));
+    const timestamp = SNAPSHOTS[archived.pathname];
+    const closest = timestamp && {
+      available: true,
+      status: '200',
+      timestamp,
+      url: `http://web.archive.org/web/${timestamp}/${archived.href}`
+    };
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ url: archived.href, archived_snapshots: closest ? { closest } : {} }));
+  });
+});
+
+after(() => server.close());
+
+// Check a project whose only post links to `paths` on the stub server
+// `files` are added to the project and `config` to the test config
+async function checkProject(paths, { files = {}, config = {}, refresh = false } = {}) {
+  const hrefs = paths.map(urlPath => `${server.url}${urlPath}`);
+  const projectRoot = createProject({
+    'posts/a/index.qmd': [
+      '---',
+      'title: "A"',
+      '---',
+      '',
+      ...hrefs.map(href => `See [this page](${href}).`),
+      ''
+    ].join('\n'),
+    '_site/posts/a/index.html': page(hrefs.map(href => `<p>See <a href="${href}">this page</a>.</p>`).join('\n')),
+    ...files
+  });
+  const result = await checkSite({
+    projectRoot,
+    refresh,
+    config: {
+      ...TEST_CONFIG,
+      archiveLookup: true,
+      archiveEndpoint: `${server.url}/wayback/available?url={url}&timestamp={timestamp}`,
+      ...config
+    }
+  });
+  return { projectRoot, result };
+}
+
+test('dead links get the snapshot from before they broke', async () => {
+  const { projectRoot, result } = await checkProject(['/gone', '/never-archived']);
+  try {
+    const archives = Object.fromEntries(result.results.map(link => [new URL(link.href).pathname, link.archive]));
+    assert.deepEqual(archives, {
+      '/gone': { url: `https://web.archive.org/web/20200101120000/${server.url}/gone`, timestamp: '2020-01-01T12:00:00.000Z' },
+      '/never-archived': null
+    });
+    assert.deepEqual(result.report.links.map(link => link.archive), result.results.map(link => link.archive));
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('the archive is asked for the time the link last worked', async () => {
+  // The cache remembers the link working until mid-2023, then failing; the only
+  // snapshot was taken after that, so it shows the broken page
+  const lastOkAt = Date.parse('2023-06-01T00:00:00Z');
+  const failingSince = Date.parse('2023-07-01T00:00:00Z');
+  const href = `${server.url}/moved-on`;
+  const { projectRoot, result } = await checkProject(['/moved-on'], {
+    files: {
+      '.quarto/linkcheck-cache.json': JSON.stringify({
+        version: 1,
+        entries: { [href]: { ok: false, status: 404, reason: 'HTTP 404', checkedAt: failingSince, lastOkAt, failingSince } }
+      })
+    },
+    config: { cacheFile: '.quarto/linkcheck-cache.json' }
+  });
+  try {
+    const query = server.requests.find(request => request.includes(encodeURIComponent(href)));
+    assert.match(query, /timestamp=20230601000000$/);
+    assert.equal(result.results[0].archive, null);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('a refresh re-checks links but keeps when they last worked', async () => {
+  const lastOkAt = Date.parse('2023-06-01T00:00:00Z');
+  const checkedAt = Date.now() - 60 * 60 * 1000;
+  const href = `${server.url}/gone`;
+  const { projectRoot, result } = await checkProject(['/gone'], {
+    files: {
+      '.quarto/linkcheck-cache.json': JSON.stringify({
+        version: 1,
+        entries: { [href]: { ok: true, status: 200, checkedAt, lastOkAt } }
+      })
+    },
+    config: { cacheFile: '.quarto/linkcheck-cache.json' },
+    refresh: true
+  });
+  try {
+    assert.equal(result.cacheHits, 0);
+    assert.equal(result.results[0].reason, 'HTTP 404');
+    const query = server.requests.findLast(request => request.includes(encodeURIComponent(href)));
+    assert.match(query, new RegExp(`timestamp=${new Date(checkedAt).toISOString().replace(/\D/g, '').slice(0, 14)}$`));
+
+    const { entries } = JSON.parse(fs.readFileSync(path.join(projectRoot, '.quarto/linkcheck-cache.json'), 'utf8'));
+    assert.equal(entries[href].lastOkAt, checkedAt);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('an archived copy found for a cached failure is cached with it', async () => {
+  const checkedAt = Date.now() - 60 * 60 * 1000;
+  const href = `${server.url}/gone`;
+  const { projectRoot, result } = await checkProject(['/gone'], {
+    files: {
+      '.quarto/linkcheck-cache.json': JSON.stringify({
+        version: 1,
+        entries: { [href]: { ok: false, status: 404, reason: 'HTTP 404', checkedAt, lastOkAt: null, failingSince: checkedAt } }
+      })
+    },
+    config: { cacheFile: '.quarto/linkcheck-cache.json' }
+  });
+  try {
+    assert.equal(result.cacheHits, 1);
+    assert.ok(result.results[0].archive);
+
+    const { entries } = JSON.parse(fs.readFileSync(path.join(projectRoot, '.quarto/linkcheck-cache.json'), 'utf8'));
+    assert.deepEqual(entries[href].archive, result.results[0].archive);
+    assert.equal(entries[href].checkedAt, checkedAt);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('the archive patch replaces dead links in the sources', async () => {
+  const { projectRoot, result } = await checkProject(['/gone', '/never-archived']);
+  try {
+    const patch = buildArchivePatch(result.results, projectRoot);
+    const gone = `${server.url}/gone`;
+    const snapshot = `https://web.archive.org/web/20200101120000/${gone}`;
+    assert.equal(patch, [
+      '--- a/posts/a/index.qmd',
+      '+++ b/posts/a/index.qmd',
+      '@@ -2,5 +2,5 @@',
+      ' title: "A"',
+      ' ---',
+      ' ',
+      `-See [this page](${gone}).`,
+      `+See [this page](${snapshot}).`,
+      ` See [this page](${server.url}/never-archived).`,
+      ''
+    ].join('\n'));
+
+    // It applies cleanly, as the linkcheck-archive.patch that --archive-patch writes
+    const patchPath = path.join(projectRoot, 'linkcheck-archive.patch');
+    fs.writeFileSync(patchPath, patch);
+    execFileSync('git', ['apply', patchPath], { cwd: projectRoot });
+    const source = fs.readFileSync(path.join(projectRoot, 'posts/a/index.qmd'), 'utf8');
+    assert.ok(source.includes(`See [this page](${snapshot}).`));
+    assert.ok(!source.includes(`(${gone})`));
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('the archive patch leaves out template-level links', () => {
+  const results = [{
+    href: 'https://example.org/old',
+    archive: { url: 'https://web.archive.org/web/2020/https://example.org/old', timestamp: '2020-01-01T00:00:00.000Z' },
+    templateLevel: true,
+    locations: [{ file: '_quarto.yml', line: 3, text: '  href: https://example.org/old' }]
+  }];
+  assert.equal(buildArchivePatch(results, '/nonexistent'), '');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { loadBaseline, updateBaseline } from '../linkcheck/baseline.js';
+import { checkSite } from '../linkcheck/checker.js';
+import { TEST_CONFIG, createProject, removeProject, page } from './helpers.js';
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+// An error and a warning from a link check
+function getResults() {
+  return [
+    { href: 'https://example.org/gone', source: 'index.html', type: 'error', reason: 'HTTP 404' },
+    { href: 'https://example.org/busy', source: 'index.html', type: 'warning', reason: 'HTTP 429 (still rate limited after 2 retries - verify manually)' }
+  ];
+}
+
+test('updateBaseline accepts only errors by default', () => {
+  const projectRoot = createProject({});
+  try {
+    const baseline = loadBaseline(path.join(projectRoot, 'baseline.json'));
+    const results = getResults();
+
+    assert.deepEqual(updateBaseline(baseline, results, { expiryDays: 30, now: NOW }), { added: 1, removed: 0 });
+    assert.deepEqual(loadBaseline(baseline.path).entries, [
+      { url: 'https://example.org/gone', reason: 'HTTP 404', expires: '2026-01-31' }
+    ]);
+    assert.deepEqual(results.map(result => Boolean(result.baselined)), [true, false]);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('updateBaseline accepts warnings with includeWarnings', () => {
+  const projectRoot = createProject({});
+  try {
+    const baseline = loadBaseline(path.join(projectRoot, 'baseline.json'));
+
+    assert.deepEqual(updateBaseline(baseline, getResults(), { expiryDays: 30, includeWarnings: true, now: NOW }), { added: 2, removed: 0 });
+    assert.deepEqual(loadBaseline(baseline.path).entries.map(entry => entry.url), ['https://example.org/gone', 'https://example.org/busy']);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('a broken local link on several pages is accepted on each of them', async () => {
+  const projectRoot = createProject({
+    '_site/index.html': page('<a href="missing.html">Missing</a>'),
+    '_site/about.html': page('<a href="missing.html">Missing</a>'),
+    '_site/posts/a.html': page('<a href="../missing.html">Missing</a>')
+  });
+  const config = { ...TEST_CONFIG, baselineFile: 'baseline.json' };
+  try {
+    const first = await checkSite({ projectRoot, config });
+    assert.equal(first.errors, 1);
+    assert.deepEqual(updateBaseline(first.baseline, first.results, { expiryDays: 30, seen: first.seen }), { added: 3, removed: 0 });
+    assert.deepEqual(first.baseline.entries.map(entry => entry.source).sort(), ['about.html', 'index.html', 'posts/a.html']);
+
+    const second = await checkSite({ projectRoot, config });
+    assert.equal(second.errors, 0);
+    assert.ok(second.results.every(result => result.baselined));
+  } finally {
+    removeProject(projectRoot);
+  }
+});
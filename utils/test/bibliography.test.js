@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSite } from '../linkcheck/checker.js';
+import { parseBibtex, findCitations } from '../linkcheck/bibliography.js';
+import { TEST_CONFIG, startServer, createProject, removeProject } from './helpers.js';
+
+test('parseBibtex reads braced, quoted and bare values, skipping @comment and @string', () => {
+  const entries = parseBibtex([
+    '@comment{ignore me}',
+    '@string{ jml = "Journal of Memory and Language" }',
+    '',
+    '@Article{popov2023,',
+    '  Title = {Working {Memory} and {Long-Term} Memory},',
+    '  journal = jml,',
+    '  year = 2023,',
+    '  doi = "10.1234/found"',
+    '}',
+    '@misc{ site ,url={https://example.org/a,b}}'
+  ].join('\n'));
+
+  assert.deepEqual(entries, [
+    {
+      key: 'popov2023',
+      type: 'article',
+      line: 4,
+      fields: { title: 'Working {Memory} and {Long-Term} Memory', journal: 'jml', year: '2023', doi: '10.1234/found' }
+    },
+    { key: 'site', type: 'misc', line: 10, fields: { url: 'https://example.org/a,b' } }
+  ]);
+});
+
+test('findCitations finds citation keys in prose only', () => {
+  const text = [
+    '---',
+    'title: "@notacitation"',
+    '---',
+    '',
+    'As shown [@smith2020; see @doe-2021, p. 3] and -@lee_2019,',
+    'see @fig-plot and @sec-intro. Mail me at me@example.org.',
+    '',
+    '```r',
+    'x@slot',
+    '```',
+    'Inline `@code` and <!-- @comment --> are skipped, @last. is not.'
+  ].join('\n');
+
+  assert.deepEqual(findCitations(text), [
+    { key: 'smith2020', line: 5 },
+    { key: 'doe-2021', line: 5 },
+    { key: 'lee_2019', line: 5 },
+    { key: 'last', line: 11 }
+  ]);
+});
+
+test('bibliography mode checks entry links and cross-checks citations', async () => {
+  const server = await startServer((req, res) => {
+    if (req.url.startsWith('/doi/')) {
+      const found = req.url === '/doi/10.1234/found';
+      res.writeHead(found ? 200 : 404, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ responseCode: found ? 1 : 100 }));
+    } else {
+      res.writeHead(req.url === '/paper' ? 200 : 404, { 'content-type': 'text/plain' });
+      res.end('paper');
+    }
+  });
+  const projectRoot = createProject({
+    '_quarto.yml': 'project:\n  type: website\n',
+    'refs.bib': [
+      '@article{cited, doi = {10.1234/found}}',
+      `@article{broken, doi = {doi:10.1234/missing}, url = {${server.url}/paper}}`,
+      `@misc{uncited, url = {${server.url}/gone}}`
+    ].join('\n'),
+    'extra.bib': '@misc{spare, title = {Spare}}',
+    'posts/_metadata.yml': 'bibliography: ../refs.bib\n',
+    'posts/a/index.qmd': '---\ntitle: A\n---\n\nAs @cited and @broken show, @unknown.\n',
+    'posts/b/index.qmd': '---\ntitle: B\nbibliography:\n  - missing.bib\ncsl: style.csl\n---\n\nText.\n',
+    'about.qmd': '# About\n\nNo bibliography, so @anything is left alone.\n'
+  });
+  const config = {
+    ...TEST_CONFIG,
+    bibliographies: ['extra.bib'],
+    resolvers: { doi: { endpoint: `${server.url}/doi/{id}` } }
+  };
+  try {
+    const result = await checkSite({ projectRoot, config, mode: 'bibliography' });
+
+    assert.deepEqual(result.checked.map(link => link.href).sort(), [
+      `${server.url}/gone`,
+      `${server.url}/paper`,
+      'https://doi.org/10.1234/found',
+      'https://doi.org/10.1234/missing'
+    ]);
+    const problems = result.results
+      .map(link => [link.category, link.href, link.type, link.locations.map(({ file, line }) => `${file}:${line}`).join(', ')])
+      .sort((a, b) => a.join(' ').localeCompare(b.join(' ')));
+    assert.deepEqual(problems, [
+      ['missing-bibliography', 'posts/b/missing.bib', 'error', 'posts/b/index.qmd:1'],
+      ['missing-bibliography', 'posts/b/style.csl', 'error', 'posts/b/index.qmd:1'],
+      ['missing-citation', '@unknown', 'error', 'posts/a/index.qmd:5'],
+      ['unused-entry', '@uncited', 'warning', 'refs.bib:3'],
+      ['unused-entry', 'extra.bib', 'warning', ''],
+      [undefined, `${server.url}/gone`, 'error', 'refs.bib:3'],
+      [undefined, 'https://doi.org/10.1234/missing', 'error', 'refs.bib:2']
+    ].sort((a, b) => a.join(' ').localeCompare(b.join(' '))));
+    assert.equal(result.results.find(link => link.href === '@unknown').reason, 'No entry for @unknown in refs.bib');
+    assert.deepEqual(result.seen.get(`${server.url}/gone`), ['refs.bib (@uncited)']);
+  } finally {
+    removeProject(projectRoot);
+    await server.close();
+  }
+});
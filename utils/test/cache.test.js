@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { checkSite } from '../linkcheck/checker.js';
+import { loadCache, getCachedResult, setCachedResult, saveCache, getUrlHistory } from '../linkcheck/cache.js';
+import { TEST_CONFIG, startServer, createProject, removeProject, page } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+const TTLS = { cacheSuccessTtlHours: 24, cacheFailureTtlHours: 1 };
+
+// A host with a working and a missing page
+async function startHost() {
+  return startServer((req, res) => {
+    res.writeHead(req.url === '/gone' ? 404 : 200, { 'Content-Type': 'text/html' });
+    res.end(page('Hello'));
+  });
+}
+
+// A site linking to both pages of the host
+function createSite(server) {
+  return createProject({
+    '_site/index.html': page(`<a href="${server.url}/ok">OK</a>\n<a href="${server.url}/gone">Gone</a>`)
+  });
+}
+
+test('repeated runs take external results from the cache file', async () => {
+  const server = await startHost();
+  const projectRoot = createSite(server);
+  const config = { ...TEST_CONFIG, ...TTLS, cacheFile: 'cache/links.json' };
+  try {
+    const first = await checkSite({ projectRoot, config });
+    assert.equal(first.cacheHits, 0);
+    assert.deepEqual(server.requests.sort(), ['/gone', '/ok']);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(projectRoot, 'cache/links.json'), 'utf8'));
+    assert.equal(stored.version, 1);
+    assert.equal(stored.entries[`${server.url}/ok`].ok, true);
+    assert.equal(stored.entries[`${server.url}/gone`].status, 404);
+
+    const second = await checkSite({ projectRoot, config });
+    assert.equal(second.cacheHits, 2);
+    assert.equal(server.requests.length, 2);
+    assert.deepEqual(second.results.map(link => [link.href, link.cached]), [[`${server.url}/gone`, true]]);
+  } finally {
+    removeProject(projectRoot);
+    await server.close();
+  }
+});
+
+test('failures expire from the cache before successes', async () => {
+  const server = await startHost();
+  const projectRoot = createSite(server);
+  const config = { ...TEST_CONFIG, cacheSuccessTtlHours: 24, cacheFailureTtlHours: 0, cacheFile: 'links.json' };
+  try {
+    await checkSite({ projectRoot, config });
+    const second = await checkSite({ projectRoot, config });
+
+    assert.equal(second.cacheHits, 1);
+    assert.deepEqual(server.requests.sort(), ['/gone', '/gone', '/ok']);
+  } finally {
+    removeProject(projectRoot);
+    await server.close();
+  }
+});
+
+test('a refresh checks every URL again but keeps since when it has failed', async () => {
+  const server = await startHost();
+  const projectRoot = createSite(server);
+  const config = { ...TEST_CONFIG, ...TTLS, cacheFile: 'links.json' };
+  const readEntry = url => JSON.parse(fs.readFileSync(path.join(projectRoot, 'links.json'), 'utf8')).entries[url];
+  try {
+    await checkSite({ projectRoot, config });
+    const failingSince = readEntry(`${server.url}/gone`).failingSince;
+
+    const refreshed = await checkSite({ projectRoot, config, refresh: true });
+    assert.equal(refreshed.cacheHits, 0);
+    assert.equal(server.requests.length, 4);
+    assert.equal(readEntry(`${server.url}/gone`).failingSince, failingSince);
+  } finally {
+    removeProject(projectRoot);
+    await server.close();
+  }
+});
+
+test('unreadable and outdated cache files are ignored', () => {
+  const projectRoot = createProject({
+    'broken.json': '{ "version": 1, "entries": ',
+    'old.json': JSON.stringify({ version: 0, entries: { 'https://example.org/': { ok: true, checkedAt: Date.now() } } })
+  });
+  const originalError = console.error;
+  const messages = [];
+  console.error = message => messages.push(message);
+  try {
+    assert.deepEqual(loadCache(path.join(projectRoot, 'broken.json')).entries, {});
+    assert.deepEqual(loadCache(path.join(projectRoot, 'old.json')).entries, {});
+    assert.deepEqual(loadCache(path.join(projectRoot, 'missing.json')).entries, {});
+    assert.equal(messages.length, 1);
+    assert.match(messages[0], /Could not read link cache/);
+  } finally {
+    console.error = originalError;
+    removeProject(projectRoot);
+  }
+});
+
+test('saving the cache drops expired entries and failures remember when the URL last worked', () => {
+  const projectRoot = createProject({});
+  const cachePath = path.join(projectRoot, 'links.json');
+  try {
+    const cache = loadCache(cachePath);
+    setCachedResult(cache, 'https://example.org/moved', { ok: true, warning: true, category: 'moved', status: 301 });
+    setCachedResult(cache, 'https://example.org/old', { ok: false, status: 500 });
+    cache.entries['https://example.org/old'].checkedAt -= 2 * HOUR;
+    const lastOkAt = Date.now() - 2 * HOUR;
+    cache.entries['https://example.org/page'] = { ok: true, status: 200, checkedAt: lastOkAt };
+    setCachedResult(cache, 'https://example.org/page', { ok: false, status: 404 });
+    saveCache(cache, TTLS);
+
+    const saved = loadCache(cachePath);
+    assert.deepEqual(Object.keys(saved.entries).sort(), ['https://example.org/moved', 'https://example.org/page']);
+    assert.deepEqual(getCachedResult(saved, 'https://example.org/moved', TTLS), { ok: true, warning: true, category: 'moved', status: 301, cached: true });
+    assert.equal(getUrlHistory(saved, 'https://example.org/page').lastOkAt, lastOkAt);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { checkSite } from '../linkcheck/checker.js';
+import { TEST_CONFIG, createProject, removeProject, page } from './helpers.js';
+
+// A site with a few good and broken local links, and `data-ref` references
+// that only the plugin below knows how to check
+const SITE = {
+  '_site/index.html': page([
+    '<a href="about.html">About</a>',
+    '<a href="about.html#team">Team</a>',
+    '<a href="missing.html">Missing</a>',
+    '<a href="about.html#nowhere">Nowhere</a>',
+    '<img src="images/logo.png" alt="">',
+    '<span data-ref="ref:known"></span>',
+    '<span data-ref="ref:unknown"></span>',
+    '<span data-ref="ref:broken"></span>'
+  ].join('\n')),
+  '_site/about.html': page('<h2 id="team">Team</h2>\n<a href="index.html">Home</a>\n<span data-ref="ref:unknown"></span>'),
+  '_site/images/logo.png': 'not really a png'
+};
+
+// Checks `ref:` links against a fixed list, and keeps the report it is given
+function createRefPlugin() {
+  const plugin = {
+    name: 'refs',
+    reports: [],
+    extractLinks($) {
+      return $('[data-ref]').map((_, el) => ({ href: $(el).attr('data-ref'), element: 'span', attribute: 'data-ref' })).get();
+    },
+    checkLink(link) {
+      if (!link.href.startsWith('ref:')) {
+        return null;
+      }
+      if (link.href === 'ref:broken') {
+        throw new Error('reference list unavailable');
+      }
+      return link.href === 'ref:known' ? { ok: true } : { ok: false, reason: 'Unknown reference' };
+    },
+    report(report, context) {
+      plugin.reports.push({ report, mode: context.mode });
+    }
+  };
+  return plugin;
+}
+
+test('checkSite reports broken local links and plugin results', async () => {
+  const projectRoot = createProject(SITE);
+  const plugin = createRefPlugin();
+  try {
+    const result = await checkSite({ projectRoot, config: TEST_CONFIG, plugins: [plugin] });
+
+    const problems = result.results
+      .map(link => [link.href, link.source, link.type, link.reason])
+      .sort(([a], [b]) => a.localeCompare(b));
+    assert.deepEqual(problems, [
+      ['about.html#nowhere', 'index.html', 'error', 'Anchor #nowhere not found in about.html'],
+      ['missing.html', 'index.html', 'error', 'Local file not found'],
+      ['ref:broken', 'index.html', 'error', 'Check failed: reference list unavailable'],
+      ['ref:unknown', 'about.html', 'error', 'Unknown reference']
+    ]);
+    assert.deepEqual(result.seen.get(result.results.find(link => link.href === 'ref:unknown').key), ['about.html', 'index.html']);
+    assert.equal(result.errors, 4);
+    assert.equal(result.warnings, 0);
+
+    // The report hook gets the finished report
+    assert.equal(plugin.reports.length, 1);
+    assert.equal(plugin.reports[0].mode, 'links');
+    assert.deepEqual(plugin.reports[0].report.summary, { checked: result.checked.length, errors: 4, warnings: 0, baselined: 0 });
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('checkSite only checks the given files', async () => {
+  const projectRoot = createProject(SITE);
+  try {
+    const result = await checkSite({ projectRoot, config: TEST_CONFIG, plugins: [createRefPlugin()], files: ['about.html'] });
+
+    assert.deepEqual(result.results.map(link => [link.href, link.source]), [['ref:unknown', 'about.html']]);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('incremental runs remember pages with only warnings or known failures', async () => {
+  const projectRoot = createProject({
+    '_site/warning.html': page('<span data-ref="ref:unsure"></span>'),
+    '_site/known.html': page('<a href="missing.html">Missing</a>'),
+    '_site/broken.html': page('<a href="gone.html">Gone</a>'),
+    'baseline.json': JSON.stringify({
+      version: 1,
+      entries: [{ url: 'missing.html', reason: 'Not published yet', expires: '2999-12-31', source: 'known.html' }]
+    })
+  });
+  const plugin = {
+    name: 'refs',
+    extractLinks: $ => $('[data-ref]').map((_, el) => ({ href: $(el).attr('data-ref') })).get(),
+    checkLink: link => link.href.startsWith('ref:') ? { ok: true, warning: true, reason: 'Unverified reference' } : null
+  };
+  const config = { ...TEST_CONFIG, pageStateFile: 'pages.json', baselineFile: 'baseline.json' };
+  try {
+    const result = await checkSite({ projectRoot, config, plugins: [plugin], incremental: true });
+    assert.equal(result.errors, 1);
+    assert.equal(result.warnings, 1);
+
+    const state = JSON.parse(fs.readFileSync(path.join(projectRoot, 'pages.json'), 'utf8'));
+    assert.deepEqual(Object.keys(state.pages).sort(), ['known.html', 'warning.html']);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('checkSite throws when the site has not been rendered', async () => {
+  const projectRoot = createProject({ 'index.qmd': '# Home\n' });
+  try {
+    await assert.rejects(checkSite({ projectRoot, config: TEST_CONFIG }), /Site directory not found/);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { checkSite } from '../linkcheck/checker.js';
+import { TEST_CONFIG, createProject, removeProject, page } from './helpers.js';
+
+// A site with a navbar, a draft linked from a published page, orphan pages and
+// a PDF nothing uses
+const SITE = {
+  '_quarto.yml': 'project:\n  type: website\nwebsite:\n  site-url: "https://example.org/"\n',
+  '_site/index.html': page('<nav class="navbar"><a href="blog.html">Blog</a></nav>\n<a href="about.html">About</a>\n<a href="https://example.org/papers/cited.pdf">Paper</a>'),
+  '_site/404.html': page('<a href="index.html">Home</a>'),
+  '_site/blog.html': page('<a href="posts/a/">A</a>\n<a href="https://elsewhere.org/">Elsewhere</a>'),
+  '_site/about.html': page('<a href="posts/b/index.html">Upcoming</a>'),
+  '_site/posts/a/index.html': page('<img src="fig.png" alt="">\n<a href="../../blog.html">Back</a>'),
+  '_site/posts/a/fig.png': 'png',
+  '_site/posts/b/index.html': page('Not ready'),
+  '_site/posts/c/index.html': '<!DOCTYPE html>\n<html><head><meta name="quarto:status" content="draft"></head><body></body></html>\n',
+  '_site/orphan.html': page('<a href="lonely.html">Lonely</a>\n<a href="papers/unused.pdf">Unused</a>'),
+  '_site/lonely.html': page(''),
+  '_site/old-name.html': '<!DOCTYPE html>\n<html><head><meta http-equiv="refresh" content="0; url=about.html"></head></html>\n',
+  '_site/include.html': '<p>An HTML fragment copied as a resource</p>\n',
+  '_site/papers/cited.pdf': 'pdf',
+  '_site/papers/unused.pdf': 'pdf',
+  '_site/site_libs/quarto.png': 'png',
+  'about.qmd': '---\ntitle: About\n---\n\nComing soon: [Upcoming](posts/b/index.qmd)\n',
+  'orphan.qmd': '---\ntitle: Orphan\n---\n',
+  'posts/b/index.qmd': '---\ntitle: Upcoming\ndraft: true\n---\n'
+};
+
+test('the crawl reports orphan pages, unused resources and reachable drafts', async () => {
+  const projectRoot = createProject(SITE);
+  try {
+    const result = await checkSite({ projectRoot, config: TEST_CONFIG, mode: 'crawl' });
+
+    const problems = result.results
+      .map(link => [link.category, link.href, link.type, result.seen.get(link.key)])
+      .sort((a, b) => a.join(' ').localeCompare(b.join(' ')));
+    assert.deepEqual(problems, [
+      ['orphan-page', 'lonely.html', 'warning', ['orphan.html']],
+      ['orphan-page', 'orphan.html', 'warning', []],
+      ['reachable-draft', 'posts/b/index.html', 'error', ['about.html']],
+      ['unreferenced-resource', 'papers/unused.pdf', 'warning', ['orphan.html']]
+    ]);
+
+    const byHref = new Map(result.results.map(link => [link.href, link]));
+    assert.equal(byHref.get('lonely.html').reason, 'Only linked from pages that are themselves unreachable');
+    assert.equal(byHref.get('orphan.html').reason, 'Not linked from any page');
+    assert.deepEqual(byHref.get('orphan.html').locations, [{ file: 'orphan.qmd', line: 1 }]);
+    assert.equal(byHref.get('posts/b/index.html').reason, 'Draft page is linked from a published page (2 click(s) from index.html or 404.html)');
+    assert.deepEqual(byHref.get('posts/b/index.html').locations.map(({ file, line }) => [file, line]), [['about.qmd', 5]]);
+    assert.equal(result.errors, 1);
+    assert.equal(result.warnings, 3);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('the crawl graph is written as JSON or DOT', async () => {
+  const projectRoot = createProject(SITE);
+  try {
+    const jsonPath = path.join(projectRoot, 'graph/site.json');
+    await checkSite({ projectRoot, config: TEST_CONFIG, mode: 'crawl', graph: { format: 'json', path: jsonPath } });
+    const graph = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+
+    assert.deepEqual(graph.entryPoints, ['index.html', '404.html']);
+    const nodes = Object.fromEntries(graph.nodes.map(node => [node.id, [node.kind, node.depth]]));
+    assert.deepEqual(nodes, {
+      '404.html': ['page', 0],
+      'about.html': ['page', 1],
+      'blog.html': ['page', 0],
+      'include.html': ['fragment', null],
+      'index.html': ['page', 0],
+      'lonely.html': ['page', null],
+      'old-name.html': ['redirect', null],
+      'orphan.html': ['page', null],
+      'papers/cited.pdf': ['resource', 1],
+      'papers/unused.pdf': ['resource', null],
+      'posts/a/fig.png': ['resource', 2],
+      'posts/a/index.html': ['page', 1],
+      'posts/b/index.html': ['draft', 2],
+      'posts/c/index.html': ['draft', null]
+    });
+    assert.ok(graph.edges.some(edge => edge.from === 'posts/a/index.html' && edge.to === 'posts/a/fig.png' && edge.element === 'img'));
+
+    const dotPath = path.join(projectRoot, 'site.dot');
+    await checkSite({ projectRoot, config: TEST_CONFIG, mode: 'crawl', graph: { format: 'dot', path: dotPath } });
+    const dot = fs.readFileSync(dotPath, 'utf8');
+    assert.match(dot, /^digraph site \{\n/);
+    assert.match(dot, / {2}"index.html" \[label="index.html", peripheries=2\];/);
+    assert.match(dot, / {2}"papers\/unused.pdf" \[label="papers\/unused.pdf", shape=box, style=dashed\];/);
+    assert.match(dot, / {2}"posts\/b\/index.html" \[label="posts\/b\/index.html", color=red\];/);
+    assert.match(dot, / {2}"orphan.html" -> "lonely.html";/);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('the crawl refuses unknown graph formats', async () => {
+  const projectRoot = createProject(SITE);
+  try {
+    await assert.rejects(
+      checkSite({ projectRoot, config: TEST_CONFIG, mode: 'crawl', graph: { format: 'svg', path: 'site.svg' } }),
+      /Unknown graph format: svg/
+    );
+  } finally {
+    removeProject(projectRoot);
+  }
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { checkWellFormed, validateFeed, buildCategoryFeeds, addCategoryFeedLinks } from '../build-feeds.js';
+import { createProject, removeProject, page } from './helpers.js';
+
+const SITE_URL = 'https://example.org/';
+
+// An item of the blog feed
+function item({ title, link, guid = link, pubDate = 'Fri, 21 Feb 2025 00:00:00 GMT', categories = [], content = '<p>Text</p>' }) {
+  return `  <item>
+    <title>${title}</title>
+    <link>${link}</link>
+    <description><![CDATA[${content}]]></description>
+${categories.map(category => `    <category>${category}</category>\n`).join('')}    <guid>${guid}</guid>
+    <pubDate>${pubDate}</pubDate>
+  </item>
+`;
+}
+
+// The blog feed with the given items
+function feed(items) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss xmlns:atom="http://www.w3.org/2005/Atom" version="2.0">
+<channel>
+  <title>Blog</title>
+  <link>${SITE_URL}posts/</link>
+  <atom:link href="${SITE_URL}posts/index.xml" rel="self" type="application/rss+xml"/>
+  <lastBuildDate>Fri, 21 Feb 2025 00:00:00 GMT</lastBuildDate>
+${items.join('')}</channel>
+</rss>
+`;
+}
+
+test('checkWellFormed reports unclosed tags, stray "<" and unknown entities', () => {
+  assert.deepEqual(checkWellFormed(feed([item({ title: 'A &amp; B', link: `${SITE_URL}posts/a/` })])), []);
+
+  const errors = checkWellFormed('<rss>\n<channel>\n<title>R &nbsp; 1 < 2</title>\n</rss>\n');
+  assert.deepEqual(errors.map(error => error.message), [
+    'Invalid entity "&nbsp;"',
+    'Unescaped "<"',
+    '</rss> closes <channel>'
+  ]);
+  assert.equal(errors[0].line, 3);
+});
+
+test('validateFeed reports relative and missing links, duplicate GUIDs, bad dates and relative images', () => {
+  const projectRoot = createProject({
+    '_site/posts/index.html': page(''),
+    '_site/posts/index.xml': '',
+    '_site/posts/a/index.html': page('')
+  });
+  try {
+    const xml = feed([
+      item({ title: 'Fine', link: `${SITE_URL}posts/a/`, content: '<img src="https://example.org/a.png">' }),
+      item({ title: 'Relative', link: 'posts/b/', guid: `${SITE_URL}posts/a/` }),
+      item({ title: 'Missing', link: `${SITE_URL}posts/gone/`, pubDate: '2025-02-21' }),
+      item({ title: 'Image', link: `${SITE_URL}posts/a/#image`, content: '<p><img src="figure.png"></p>' })
+    ]);
+    const problems = validateFeed(xml, { siteUrl: SITE_URL, siteDir: path.join(projectRoot, '_site') });
+
+    assert.deepEqual(problems, [
+      { item: 'Relative', message: '<link> is not an absolute URL: posts/b/' },
+      { item: 'Relative', message: `<guid> ${SITE_URL}posts/a/ is also used by "Fine"` },
+      { item: 'Missing', message: `<link> has no file in the site: ${SITE_URL}posts/gone/` },
+      { item: 'Missing', message: '<pubDate> is not a valid RFC 822 date: "2025-02-21"' },
+      { item: 'Image', message: 'Relative image URL in the content: figure.png' }
+    ]);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('buildCategoryFeeds writes a feed per category with its items copied as written', () => {
+  const first = item({ title: 'First', link: `${SITE_URL}posts/a/`, categories: ['R', 'Open science'], content: '<p>Caf&eacute; <b>R</b></p>' });
+  const second = item({ title: 'Second', link: `${SITE_URL}posts/b/`, categories: ['R'] });
+  const third = item({ title: 'Third', link: `${SITE_URL}posts/c/`, categories: ['Q&amp;A'] });
+  const feeds = buildCategoryFeeds(feed([first, second, third]), 'index.xml');
+
+  assert.deepEqual(feeds.map(({ category, fileName, count }) => ({ category, fileName, count })), [
+    { category: 'Open science', fileName: 'index-open-science.xml', count: 1 },
+    { category: 'Q&A', fileName: 'index-q-a.xml', count: 1 },
+    { category: 'R', fileName: 'index-r.xml', count: 2 }
+  ]);
+
+  const r = feeds[2].xml;
+  assert.equal(r, feed([first, second])
+    .replace('<title>Blog</title>', '<title>Blog - R</title>')
+    .replace('posts/index.xml', 'posts/index-r.xml'));
+  assert.deepEqual(checkWellFormed(r), []);
+  assert.match(feeds[1].xml, /<title>Blog - Q&amp;A<\/title>/);
+  assert.deepEqual(buildCategoryFeeds(feed([]), 'index.xml'), []);
+});
+
+test('addCategoryFeedLinks links the category feeds from the listing head, replacing earlier links', () => {
+  const feeds = buildCategoryFeeds(feed([
+    item({ title: 'First', link: `${SITE_URL}posts/a/`, categories: ['R', 'Q&amp;A'] })
+  ]), 'index.xml');
+  const html = '<html><head>\n<link rel="alternate" type="application/rss+xml" title="Blog" href="index.xml">\n</head><body></body></html>\n';
+
+  const linked = addCategoryFeedLinks(html, feeds, 'Blog');
+  assert.equal(linked, '<html><head>\n<link rel="alternate" type="application/rss+xml" title="Blog" href="index.xml">\n' +
+    '<link rel="alternate" type="application/rss+xml" title="Blog - Q&amp;A" href="index-q-a.xml" data-category="Q&amp;A">\n' +
+    '<link rel="alternate" type="application/rss+xml" title="Blog - R" href="index-r.xml" data-category="R">\n' +
+    '</head><body></body></html>\n');
+  assert.equal(addCategoryFeedLinks(linked, feeds, 'Blog'), linked);
+  assert.equal(addCategoryFeedLinks(linked, [], 'Blog'), html);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSite } from '../linkcheck/checker.js';
+import { TEST_CONFIG, startServer, createProject, removeProject, page } from './helpers.js';
+
+// Pages linking to headings on the same page, on other pages and in other posts
+const SITE = {
+  '_site/index.html': page([
+    '<h2 id="intro">Intro</h2>',
+    '<a name="legacy"></a>',
+    '<a href="#intro">Intro</a>',
+    '<a href="#legacy">Legacy</a>',
+    '<a href="#renamed">Renamed</a>',
+    '<a href="#">Top</a>',
+    '<a href="#top">Top</a>',
+    '<a href="#category=R">R posts</a>',
+    '<a href="posts/a/#methods">Methods</a>',
+    '<a href="posts/a/#results">Results</a>',
+    '<a href="posts/a/#caf%C3%A9">Café</a>',
+    '<a href="about.html#readme">Readme</a>',
+    '<a href="notes.txt#line-2">Notes</a>'
+  ].join('\n')),
+  '_site/posts/a/index.html': page('<h2 id="methods">Methods</h2>\n<h2 id="café">Café</h2>\n<a href="../../index.html#intro">Home</a>\n<a href="../b/#discussion">Discussion</a>'),
+  '_site/posts/b/index.html': page('<h2 id="conclusion">Conclusion</h2>'),
+  '_site/about.html': page('<article><h2 id="user-content-readme">Readme</h2></article>'),
+  '_site/notes.txt': 'not html'
+};
+
+// The fragment problems found, as [href, source, reason]
+function fragmentProblems(result) {
+  return result.results
+    .filter(link => link.category === 'fragment')
+    .map(link => [link.href, link.source, link.reason])
+    .sort(([a], [b]) => a.localeCompare(b));
+}
+
+test('fragments with no matching id or name are reported as their own category', async () => {
+  const projectRoot = createProject(SITE);
+  try {
+    const result = await checkSite({ projectRoot, config: TEST_CONFIG });
+
+    assert.deepEqual(fragmentProblems(result), [
+      ['../b/#discussion', 'posts/a/index.html', 'Anchor #discussion not found in posts/b/index.html'],
+      ['#renamed', 'index.html', 'Anchor #renamed not found in index.html'],
+      ['posts/a/#results', 'index.html', 'Anchor #results not found in posts/a/index.html']
+    ]);
+    assert.equal(result.results.length, 3);
+    assert.ok(result.results.every(link => link.type === 'error'));
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('fragments are not checked when checkFragments is off', async () => {
+  const projectRoot = createProject(SITE);
+  try {
+    const result = await checkSite({ projectRoot, config: { ...TEST_CONFIG, checkFragments: false } });
+
+    assert.deepEqual(result.results, []);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('fragments of external pages are only checked when asked, and only warn', async () => {
+  const server = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(page('<h2 id="install">Install</h2>'));
+  });
+  const projectRoot = createProject({
+    '_site/index.html': page(`<a href="${server.url}/docs#install">Install</a>\n<a href="${server.url}/guide#usage">Usage</a>`)
+  });
+  try {
+    const unchecked = await checkSite({ projectRoot, config: TEST_CONFIG });
+    assert.deepEqual(unchecked.results, []);
+
+    const result = await checkSite({ projectRoot, config: { ...TEST_CONFIG, checkExternalFragments: true } });
+    assert.deepEqual(result.results.map(link => [link.href, link.type, link.category, link.reason]), [
+      [`${server.url}/guide#usage`, 'warning', 'fragment', 'Anchor #usage not found on page']
+    ]);
+    assert.equal(result.errors, 0);
+    assert.equal(result.warnings, 1);
+  } finally {
+    removeProject(projectRoot);
+    await server.close();
+  }
+});
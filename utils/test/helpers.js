@@ -0,0 +1,64 @@
+/**
+ * Shared fixtures for the link checker tests
+ *
+ * Tests run checkSite on small throwaway projects, with local stub servers
+ * standing in for the external hosts and APIs.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+
+// Config for checks that touch nothing outside the fixture: no cache, page
+// state or baseline files, no host delays and no soft 404 probing
+export const TEST_CONFIG = {
+  cacheFile: null,
+  pageStateFile: null,
+  baselineFile: null,
+  hostMinDelay: 0,
+  retryBaseDelay: 10,
+  timeout: 5000,
+  softNotFoundProbe: false
+};
+
+// Start a stub HTTP server on a free port
+// `handler(req, res)` answers the requests; resolves to { url, requests, close },
+// where `requests` lists the paths (with query) asked for, in order
+export async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    handler(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Write a project to a new temporary directory, from relative paths to contents
+// Returns the project root
+export function createProject(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'linkcheck-test-'));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  return root;
+}
+
+export function removeProject(root) {
+  fs.rmSync(root, { recursive: true, force: true });
+}
+
+// A rendered page with the given body
+export function page(body) {
+  return `<!DOCTYPE html>\n<html><head><title>Test</title></head><body>\n${body}\n</body></html>\n`;
+}
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSite } from '../linkcheck/checker.js';
+import { replaceLink } from '../linkcheck/sources.js';
+import { TEST_CONFIG, startServer, createProject, removeProject, page } from './helpers.js';
+
+// Redirects of the stub host, as path -> [status, location]
+const REDIRECTS = {
+  '/old': [301, '/older'],
+  '/older': [308, '/new'],
+  '/temporary': [302, '/new'],
+  '/moved-then-temporary': [301, '/temporary'],
+  '/moved-away': [301, '/missing'],
+  '/loop-a': [302, '/loop-b'],
+  '/loop-b': [302, '/loop-a'],
+  '/chain-1': [302, '/chain-2'],
+  '/chain-2': [302, '/chain-3'],
+  '/chain-3': [302, '/chain-4'],
+  '/chain-4': [302, '/new']
+};
+
+async function startHost() {
+  return startServer((req, res) => {
+    const redirect = REDIRECTS[req.url];
+    if (redirect) {
+      res.writeHead(redirect[0], { Location: redirect[1] });
+      res.end();
+    } else {
+      res.writeHead(req.url === '/new' ? 200 : 404, { 'Content-Type': 'text/html' });
+      res.end(page('Hello'));
+    }
+  });
+}
+
+// Check a site linking to the given paths of the host; the index.qmd source links to them too
+async function checkLinksTo(server, paths, config = {}) {
+  const links = paths.map(urlPath => `${server.url}${urlPath}`);
+  const projectRoot = createProject({
+    '_site/index.html': page(links.map(link => `<a href="${link}">Link</a>`).join('\n')),
+    'index.qmd': `# Home\n\n${links.map(link => `See [the link](${link}).`).join('\n')}\n`
+  });
+  try {
+    const result = await checkSite({ projectRoot, config: { ...TEST_CONFIG, ...config } });
+    return new Map(result.results.map(link => [link.href.slice(server.url.length), link]));
+  } finally {
+    removeProject(projectRoot);
+  }
+}
+
+test('permanent redirects are reported as moved, with every hop and the source line', async () => {
+  const server = await startHost();
+  try {
+    const results = await checkLinksTo(server, ['/old', '/new']);
+
+    assert.deepEqual([...results.keys()], ['/old']);
+    const moved = results.get('/old');
+    assert.equal(moved.type, 'warning');
+    assert.equal(moved.category, 'moved');
+    assert.equal(moved.movedTo, `${server.url}/new`);
+    assert.deepEqual(moved.redirects, [
+      { url: `${server.url}/old`, status: 301 },
+      { url: `${server.url}/older`, status: 308 }
+    ]);
+    assert.equal(moved.reason, `Permanently moved to ${server.url}/new (${server.url}/old (301) → ${server.url}/older (308) → ${server.url}/new)`);
+    assert.deepEqual(moved.locations.map(({ file, line }) => [file, line]), [['index.qmd', 3]]);
+    assert.equal(replaceLink(moved.locations[0].text, moved.href, moved.movedTo), `See [the link](${server.url}/new).`);
+  } finally {
+    await server.close();
+  }
+});
+
+test('links move only as far as their permanent redirects go', async () => {
+  const server = await startHost();
+  try {
+    const results = await checkLinksTo(server, ['/temporary', '/moved-then-temporary']);
+
+    assert.deepEqual([...results.keys()], ['/moved-then-temporary']);
+    assert.equal(results.get('/moved-then-temporary').movedTo, `${server.url}/temporary`);
+    assert.equal(results.get('/moved-then-temporary').finalUrl, `${server.url}/new`);
+  } finally {
+    await server.close();
+  }
+});
+
+test('redirects to a missing page are broken, not moved', async () => {
+  const server = await startHost();
+  try {
+    const results = await checkLinksTo(server, ['/moved-away']);
+    const broken = results.get('/moved-away');
+
+    assert.equal(broken.type, 'error');
+    assert.equal(broken.reason, 'HTTP 404');
+    assert.equal(broken.category, undefined);
+    assert.equal(broken.finalUrl, `${server.url}/missing`);
+  } finally {
+    await server.close();
+  }
+});
+
+test('redirect loops and overlong chains are flagged', async () => {
+  const server = await startHost();
+  try {
+    const results = await checkLinksTo(server, ['/loop-a', '/chain-1'], { maxRedirects: 3 });
+
+    const loop = results.get('/loop-a');
+    assert.equal(loop.type, 'error');
+    assert.equal(loop.category, 'redirect-loop');
+    assert.equal(loop.reason, `Redirect loop: ${server.url}/loop-a (302) → ${server.url}/loop-b (302) → ${server.url}/loop-a`);
+
+    const chain = results.get('/chain-1');
+    assert.equal(chain.category, 'redirect-loop');
+    assert.match(chain.reason, /^Too many redirects \(3\): /);
+  } finally {
+    await server.close();
+  }
+});
+
+test('replaceLink leaves longer URLs that start with the link alone', () => {
+  const text = 'See <https://example.org/a> and https://example.org/a/b, or [a](https://example.org/a).';
+
+  assert.equal(replaceLink(text, 'https://example.org/a', 'https://example.com/'),
+    'See <https://example.com/> and https://example.org/a/b, or [a](https://example.com/).');
+});
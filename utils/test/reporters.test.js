@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { checkSite } from '../linkcheck/checker.js';
+import { formatJson, formatJunit, formatMarkdown, writeReport } from '../linkcheck/reporters.js';
+import { TEST_CONFIG, createProject, removeProject, page } from './helpers.js';
+
+// A site with a broken link on two pages, a missing anchor and a known failure
+const SITE = {
+  '_site/index.html': page('<a href="about.html">About</a>\n<a href="gone.html">Gone</a>\n<a href="about.html#team">Team</a>'),
+  '_site/about.html': page('<a href="gone.html">Gone</a>\n<a href="draft|1.html">Draft</a>'),
+  'baseline.json': JSON.stringify({
+    version: 1,
+    entries: [{ url: 'draft|1.html', reason: 'Not published yet', expires: '2999-12-31' }]
+  })
+};
+
+// Check the site and return its report data
+async function checkAndReport(projectRoot) {
+  const result = await checkSite({ projectRoot, config: { ...TEST_CONFIG, baselineFile: 'baseline.json' } });
+  return result.report;
+}
+
+test('the report lists every page a result was found on', async () => {
+  const projectRoot = createProject(SITE);
+  try {
+    const report = await checkAndReport(projectRoot);
+
+    assert.deepEqual(report.summary, { checked: 4, errors: 2, warnings: 0, baselined: 1 });
+    const json = JSON.parse(formatJson(report));
+    assert.equal(json.checked, undefined);
+    const links = json.links
+      .map(link => [link.href, link.category, link.sources, link.baseline && link.baseline.reason])
+      .sort(([a], [b]) => a.localeCompare(b));
+    assert.deepEqual(links, [
+      ['about.html#team', 'fragment', ['index.html'], null],
+      ['draft|1.html', 'broken', ['about.html'], 'Not published yet'],
+      ['gone.html', 'broken', ['about.html', 'index.html'], null]
+    ]);
+    assert.ok(json.links.every(link => !('key' in link)));
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('the JUnit report has a testcase per checked link, with errors as failures', async () => {
+  const projectRoot = createProject(SITE);
+  try {
+    const xml = formatJunit(await checkAndReport(projectRoot));
+
+    assert.match(xml, /<testsuites name="link-check" tests="4" failures="2" skipped="1">/);
+    assert.equal(xml.match(/<testcase /g).length, 4);
+    assert.match(xml, /<testcase name="about.html" classname="index.html"\/>/);
+    assert.match(xml, /<testcase name="gone.html" classname="about.html">\n {6}<failure type="broken" message="Local file not found"\/>/);
+    assert.match(xml, /<failure type="fragment" message="Anchor #team not found in about.html"\/>/);
+    assert.match(xml, /<skipped message="Known failure until 2999-12-31 \(Not published yet\): Local file not found"\/>/);
+    assert.match(xml, /Found in: about.html, index.html\nSource: template-level/);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('the Markdown report groups results by category, with known failures last', async () => {
+  const projectRoot = createProject(SITE);
+  try {
+    const markdown = formatMarkdown(await checkAndReport(projectRoot));
+    const headings = markdown.split('\n').filter(line => line.startsWith('#'));
+
+    assert.deepEqual(headings, [
+      '## Link check report',
+      '### ❌ Broken links (1)',
+      '### 🔖 Missing anchors (1)',
+      '### 📌 Known failures (baseline) (1)'
+    ]);
+    assert.match(markdown, /Checked 4 unique link\(s\): 2 error\(s\), 0 warning\(s\), 1 known failure\(s\) from the baseline\./);
+    assert.match(markdown, /\| `gone.html` \| `<a href>` \| Local file not found \| template-level \| `about.html`, `index.html` \|/);
+    assert.match(markdown, /\| `draft\\\|1.html` \| `<a href>` \| Local file not found \(known: Not published yet; until 2999-12-31\) \|/);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('a clean check gives an empty report', async () => {
+  const projectRoot = createProject({ '_site/index.html': page('<a href="index.html">Home</a>') });
+  try {
+    const report = await checkAndReport(projectRoot);
+    const outputPath = writeReport('markdown', path.join(projectRoot, 'reports/links.md'), report);
+
+    assert.match(fs.readFileSync(outputPath, 'utf8'), /Checked 1 unique link\(s\): 0 error\(s\), 0 warning\(s\)\.\n\n✅ No broken links found!\n$/);
+    assert.match(formatJunit(report), /<testsuite name="links" tests="1" failures="0" skipped="0"/);
+    assert.deepEqual(JSON.parse(formatJson(report)).links, []);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSite } from '../linkcheck/checker.js';
+import { findIdentifier } from '../linkcheck/resolvers.js';
+import { TEST_CONFIG, startServer, createProject, removeProject, page } from './helpers.js';
+
+// Registered identifiers; everything else is unknown to the stub registries
+const DOIS = ['10.1234/found'];
+const ARXIV_IDS = ['2101.00001'];
+
+let registry;
+
+before(async () => {
+  registry = await startServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname.startsWith('/doi/')) {
+      const doi = decodeURIComponent(url.pathname.slice('/doi/'.length));
+      const found = DOIS.includes(doi);
+      res.writeHead(found ? 200 : 404, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ responseCode: found ? 1 : 100, handle: doi }));
+    } else if (url.pathname === '/arxiv') {
+      // Like export.arxiv.org, unknown ids get a 200 with an error entry
+      const id = url.searchParams.get('id_list');
+      const entry = ARXIV_IDS.includes(id)
+        ? `<entry><id>http://arxiv.org/abs/${id}v1</id></entry>`
+        : '<entry><id>http://arxiv.org/api/errors#incorrect_id_format</id></entry>';
+      res.writeHead(200, { 'content-type': 'application/atom+xml' });
+      res.end(`<?xml version="1.0"?><feed xmlns="http://www.w3.org/2005/Atom">${entry}</feed>`);
+    } else {
+      res.writeHead(500);
+      res.end();
+    }
+  });
+});
+
+after(() => registry.close());
+
+// Check a one-page site against the stub registries
+async function checkLinks(hrefs) {
+  const projectRoot = createProject({
+    '_site/index.html': page(hrefs.map(href => `<a href="${href}">link</a>`).join('\n'))
+  });
+  try {
+    return await checkSite({
+      projectRoot,
+      config: {
+        ...TEST_CONFIG,
+        resolvers: {
+          doi: { endpoint: `${registry.url}/doi/{id}` },
+          arxiv: { endpoint: `${registry.url}/arxiv?id_list={id}` }
+        }
+      }
+    });
+  } finally {
+    removeProject(projectRoot);
+  }
+}
+
+test('DOI links are looked up in the DOI registry', async () => {
+  const result = await checkLinks(['https://doi.org/10.1234/found', 'https://dx.doi.org/10.1234/missing']);
+
+  assert.ok(registry.requests.includes('/doi/10.1234/found'));
+  assert.ok(registry.requests.includes('/doi/10.1234/missing'));
+  assert.deepEqual(result.results.map(link => [link.href, link.type, link.reason]), [
+    ['https://dx.doi.org/10.1234/missing', 'error', 'DOI 10.1234/missing not found in registry']
+  ]);
+  assert.deepEqual(result.results[0].identifier, { type: 'doi', id: '10.1234/missing' });
+  assert.equal(result.errors, 1);
+});
+
+test('arXiv abstract and PDF links are looked up in the arXiv API', async () => {
+  const result = await checkLinks(['https://arxiv.org/abs/2101.00001', 'https://arxiv.org/pdf/2101.99999v2.pdf']);
+
+  assert.ok(registry.requests.includes('/arxiv?id_list=2101.00001'));
+  assert.ok(registry.requests.includes('/arxiv?id_list=2101.99999v2'));
+  assert.deepEqual(result.results.map(link => [link.href, link.type, link.reason]), [
+    ['https://arxiv.org/pdf/2101.99999v2.pdf', 'error', 'arXiv 2101.99999v2 not found in registry']
+  ]);
+  assert.equal(result.checked.length, 2);
+});
+
+test('identifiers with malformed percent-encoding are kept as written', () => {
+  const config = { resolvers: { doi: { endpoint: 'https://doi.test/{id}' }, arxiv: { endpoint: 'https://arxiv.test/{id}' } } };
+
+  assert.equal(findIdentifier('https://doi.org/10.1234/50%25-off%E0%A4%A', config).id, '10.1234/50%25-off%E0%A4%A');
+  assert.equal(findIdentifier('https://arxiv.org/abs/2101.00001%E0%A4%A', config), null);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { cleanSitemap } from '../clean-sitemap.js';
+import { createProject, removeProject, page } from './helpers.js';
+
+const SITE_URL = 'https://example.org/';
+
+// A sitemap with the given entries, as Quarto writes it
+function sitemap(entries) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('')}</urlset>
+`;
+}
+
+function entry(url, lastmod) {
+  return `  <url>
+    <loc>${url}</loc>
+${lastmod ? `    <lastmod>${lastmod}</lastmod>\n` : ''}  </url>
+`;
+}
+
+// A site with posts, a draft, a redirect and a page the sitemap leaves out
+function createSite() {
+  return createProject({
+    '_site/index.html': page('Home'),
+    '_site/about.html': page('About'),
+    '_site/404.html': page('Not found'),
+    '_site/posts/a/index.html': page('A'),
+    '_site/posts/b/index.html': page('B'),
+    '_site/posts/draft/index.html': page('Draft'),
+    '_site/posts/hidden/index.html': '<!DOCTYPE html>\n<html><head><meta name="robots" content="noindex"></head><body></body></html>\n',
+    '_site/old.html': '<!DOCTYPE html>\n<html><head><meta http-equiv="refresh" content="0; url=about.html"></head></html>\n',
+    '_site/posts/subscribe.html': '<form>Subscribe</form>\n',
+    '_site/projects.html': page('Projects'),
+    '_site/site_libs/bootstrap/page.html': page(''),
+    'posts/a/index.qmd': '---\ntitle: A\ndate: 2024-03-01\ndate-modified: "2024-05-20"\n---\n',
+    'posts/b/index.qmd': '---\ntitle: B\ndate: March 3, 2024\n---\n',
+    'posts/draft/index.qmd': '---\ntitle: Draft\ndraft: true\n---\n',
+    'about.qmd': '---\ntitle: About\ndate: today\n---\n'
+  });
+}
+
+test('cleanSitemap rewrites URLs to canonical form and fills in lastmod from the front matter', () => {
+  const root = createSite();
+  try {
+    const { xml } = cleanSitemap(sitemap([
+      entry(`${SITE_URL}index.html`),
+      entry(`${SITE_URL}about.html`, '2025-01-01T10:00:00.000Z'),
+      entry(`${SITE_URL}posts/a/index.html`, '2025-01-01T10:00:00.000Z'),
+      entry(`${SITE_URL}posts/b/index.html`),
+      entry(`${SITE_URL}projects.html`)
+    ]), { siteDir: path.join(root, '_site'), siteUrl: SITE_URL, root });
+
+    assert.equal(xml, sitemap([
+      entry(SITE_URL),
+      entry(`${SITE_URL}about`, '2025-01-01T10:00:00.000Z'),
+      entry(`${SITE_URL}posts/a/`, '2024-05-20'),
+      entry(`${SITE_URL}posts/b/`, '2024-03-03'),
+      entry(`${SITE_URL}projects`)
+    ]));
+  } finally {
+    removeProject(root);
+  }
+});
+
+test('cleanSitemap reports entries with no page, duplicates and published pages left out', () => {
+  const root = createSite();
+  try {
+    const { xml, problems } = cleanSitemap(sitemap([
+      entry(`${SITE_URL}index.html`),
+      entry(`${SITE_URL}about.html`),
+      entry(`${SITE_URL}about`),
+      entry(`${SITE_URL}posts/a/index.html`),
+      entry(`${SITE_URL}posts/removed/index.html`),
+      '  <url>\n    <lastmod>2024-01-01</lastmod>\n  </url>\n'
+    ]), { siteDir: path.join(root, '_site'), siteUrl: SITE_URL, root });
+
+    // Entries are reported in sitemap order, the pages it leaves out in directory order
+    const missing = problems.filter(problem => problem.type === 'missing').sort((a, b) => a.url.localeCompare(b.url));
+    assert.deepEqual([...problems.filter(problem => problem.type !== 'missing'), ...missing], [
+      { type: 'duplicate', url: `${SITE_URL}about`, message: 'Listed more than once; extra entries removed' },
+      { type: 'no-page', url: `${SITE_URL}posts/removed/`, message: 'Sitemap entry with no page in the site' },
+      { type: 'no-loc', url: null, message: 'Sitemap entry without a <loc>' },
+      { type: 'missing', url: `${SITE_URL}posts/b/`, message: 'Page missing from the sitemap (posts/b/index.html)' },
+      { type: 'missing', url: `${SITE_URL}projects`, message: 'Page missing from the sitemap (projects.html)' }
+    ]);
+    assert.equal(xml.match(/<url>/g).length, 5);
+    assert.match(xml, /<loc>https:\/\/example.org\/posts\/removed\/<\/loc>/);
+  } finally {
+    removeProject(root);
+  }
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkUrl } from '../linkcheck/checker.js';
+import { TEST_CONFIG, startServer, page } from './helpers.js';
+
+const HOMEPAGE = page('<nav><a href="/">Home</a></nav>\n<main><h1>Welcome</h1><p>Latest news and articles.</p></main>');
+const ARTICLES = {
+  '/article': page('<h1>An article</h1><p>With its own text, nothing like the homepage at all.</p>'),
+  // The host's own "not found" page, for content that was taken down
+  '/removed': '<html><head><title>Page not found</title></head><body><h1>Sorry</h1><p>This article was taken down.</p></body></html>'
+};
+
+let servingHost;
+let redirectingHost;
+
+before(async () => {
+  // Answers unknown paths with its homepage in place, with a 200
+  servingHost = await startServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'text/html' });
+    res.end(ARTICLES[req.url] ?? HOMEPAGE);
+  });
+  // Redirects unknown paths to its homepage
+  redirectingHost = await startServer((req, res) => {
+    if (req.url === '/' || ARTICLES[req.url]) {
+      res.writeHead(200, { 'content-type': 'text/html' });
+      res.end(ARTICLES[req.url] ?? HOMEPAGE);
+    } else {
+      res.writeHead(302, { location: '/' });
+      res.end();
+    }
+  });
+});
+
+after(() => Promise.all([servingHost.close(), redirectingHost.close()]));
+
+const config = { ...TEST_CONFIG, softNotFoundProbe: true, softNotFoundSimilarity: 0.9, softNotFoundPatterns: [] };
+
+test('pages that look like the answer for a nonexistent URL are soft 404s', async () => {
+  const result = await checkUrl(`${servingHost.url}/old-news`, config);
+
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, "Soft 404 (100% similar to this host's page for a nonexistent URL)");
+});
+
+test('pages redirected like a nonexistent URL are soft 404s', async () => {
+  const result = await checkUrl(`${redirectingHost.url}/old-news`, config);
+
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, `Soft 404 (redirects to ${redirectingHost.url}/, like a nonexistent URL on this host)`);
+});
+
+test('links to the homepage that nonexistent URLs get are fine', async () => {
+  for (const host of [servingHost, redirectingHost]) {
+    for (const url of [host.url, `${host.url}/`, `${host.url}/?ref=blog`]) {
+      const result = await checkUrl(url, config);
+      assert.equal(result.ok, true, `${url}: ${result.reason}`);
+    }
+  }
+});
+
+test('pages the probe does not flag are still checked against the patterns', async () => {
+  const result = await checkUrl(`${servingHost.url}/removed`, config);
+
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, 'Soft 404 (page shows not found content)');
+});
+
+test('pages unlike the probe answer and without a not found title pass', async () => {
+  const result = await checkUrl(`${servingHost.url}/article`, config);
+
+  assert.equal(result.ok, true);
+});
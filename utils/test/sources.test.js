@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { findSiteFile } from '../linkcheck/sources.js';
+import { createProject, removeProject } from './helpers.js';
+
+const SITE_URL = 'https://example.org/';
+
+test('findSiteFile resolves clean and encoded site URLs', () => {
+  const projectRoot = createProject({
+    '_site/index.html': '',
+    '_site/about.html': '',
+    '_site/posts/hello world/index.html': ''
+  });
+  const siteDir = path.join(projectRoot, '_site');
+  try {
+    assert.equal(findSiteFile(SITE_URL, SITE_URL, siteDir), 'index.html');
+    assert.equal(findSiteFile(`${SITE_URL}about`, SITE_URL, siteDir), 'about.html');
+    assert.equal(findSiteFile(`${SITE_URL}posts/hello%20world/#top`, SITE_URL, siteDir), 'posts/hello world/index.html');
+    assert.equal(findSiteFile('https://elsewhere.org/about', SITE_URL, siteDir), null);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
+
+test('findSiteFile treats malformed percent-encoding as a missing page', () => {
+  const projectRoot = createProject({ '_site/index.html': '' });
+  try {
+    assert.equal(findSiteFile(`${SITE_URL}posts/%E0%A4%A`, SITE_URL, path.join(projectRoot, '_site')), null);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
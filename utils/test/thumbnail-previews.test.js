@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { Jimp } from 'jimp';
+import { createProject, removeProject } from './helpers.js';
+
+const SCRIPT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'build-thumbnail-previews.js');
+
+test('listing thumbnails get an inline preview, other images are left alone', async () => {
+  const listing = [
+    '<div class="quarto-listing">',
+    '<img data-src="a/%E0%A4%A.png">',
+    '<img data-src="https://example.org/remote.png">',
+    '<img data-src="a/thumb.png" class="thumbnail-image">',
+    '<img data-src="/posts/a/thumb.png?v=2">',
+    '</div>'
+  ].join('\n');
+  const projectRoot = createProject({
+    '_site/posts/index.html': listing,
+    '_site/about.html': '<img data-src="posts/a/thumb.png">'
+  });
+  const siteDir = path.join(projectRoot, '_site');
+  try {
+    fs.mkdirSync(path.join(siteDir, 'posts/a'));
+    await new Jimp({ width: 200, height: 100, color: 0x3366ffff }).write(path.join(siteDir, 'posts/a/thumb.png'));
+
+    execFileSync('node', [SCRIPT, '--site', siteDir], { stdio: 'pipe' });
+    const html = fs.readFileSync(path.join(siteDir, 'posts/index.html'), 'utf8');
+    const previews = [...html.matchAll(/<img data-placeholder="(data:image\/jpeg;base64,[^"]+)" data-src="([^"]+)"/g)];
+    assert.deepEqual(previews.map(match => match[2]), ['a/thumb.png', '/posts/a/thumb.png?v=2']);
+    assert.equal(html.replace(/<img data-placeholder="[^"]+" /g, '<img '), listing);
+
+    const preview = await Jimp.read(Buffer.from(previews[0][1].split(',')[1], 'base64'));
+    assert.deepEqual([preview.bitmap.width, preview.bitmap.height], [16, 8]);
+
+    // Pages without a listing are not touched, and a second run changes nothing
+    assert.equal(fs.readFileSync(path.join(siteDir, 'about.html'), 'utf8'), '<img data-src="posts/a/thumb.png">');
+    execFileSync('node', [SCRIPT, '--site', siteDir], { stdio: 'pipe' });
+    assert.equal(fs.readFileSync(path.join(siteDir, 'posts/index.html'), 'utf8'), html);
+  } finally {
+    removeProject(projectRoot);
+  }
+});
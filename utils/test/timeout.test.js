@@ -0,0 +1,46 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CONFIG, checkUrl, checkAsset } from '../linkcheck/checker.js';
+import { TEST_CONFIG, startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer((req, res) => {
+    if (req.url === '/stalled') {
+      // Headers and the start of the page, then nothing
+      res.writeHead(200, { 'content-type': 'text/html' });
+      res.write('<html><head><title>Slow');
+    } else if (req.url === '/no-answer') {
+      // Never even sends the headers
+    } else {
+      res.writeHead(200, { 'content-type': 'text/html' });
+      res.end('<html><head><title>Fast</title></head><body><h1>Fast</h1></body></html>');
+    }
+  });
+});
+
+after(() => server.close());
+
+const config = { ...DEFAULT_CONFIG, ...TEST_CONFIG, timeout: 1000, retries: 0 };
+
+test('a page whose body stalls times out', async () => {
+  const started = Date.now();
+  const result = await checkUrl(`${server.url}/stalled`, config);
+
+  assert.deepEqual(result, { ok: false, status: 0, reason: 'Timeout' });
+  assert.ok(Date.now() - started < 5000);
+});
+
+test('a server that never answers times out', async () => {
+  assert.deepEqual(await checkUrl(`${server.url}/no-answer`, config), { ok: false, status: 0, reason: 'Timeout' });
+});
+
+test('the timeout does not cut short pages that arrive in time', async () => {
+  const result = await checkUrl(`${server.url}/fast`, config);
+  // Wait past the timeout: the finished response must not be aborted
+  await new Promise(resolve => setTimeout(resolve, 1100));
+
+  assert.deepEqual(result, { ok: true, status: 200 });
+  assert.equal((await checkAsset(`${server.url}/fast`, config)).ok, true);
+});